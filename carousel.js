@@ -0,0 +1,174 @@
+/* =========================================================
+   KizBourges — carousel.js
+   One slide at a time, shared by the events carousel (events.js) and the
+   SoundCloud playlists (index.html). The caller draws the slides, the
+   component does the rest:
+   - ‹ › buttons, swipe, and ←/→ only while focus is inside the carousel
+   - dots as real buttons, aria-current="true" on the current one
+   - "2 sur 5 : <label>" announced in an aria-live region
+   - optional autoplay: never with prefers-reduced-motion, paused on hover
+     or focus, stopped for good by a pause button or any navigation
+
+     const c = KizCarousel.create(root, {
+       label: 'Événements',          // aria-label of the region
+       prev, next,                   // arrow buttons
+       stage,                        // element following the swipe
+       dots,                         // container for the dot buttons
+       slideLabel: i => 'Soirée…',   // dot names + announcement
+       show: i => { … },             // draw slide i
+       autoplay: 6000                // ms, 0 = off (default)
+     });
+     c.setCount(n);  c.go(i);  c.prev();  c.next();
+   ========================================================= */
+(function(){
+  const reducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+  /* ================= SWIPE ================= */
+  // Horizontal drags on the stage move one slide; vertical ones scroll the page
+  function enableSwipe(stage, onSwipe, { tilt = false } = {}){
+    const TH=36, RS=90, FOLLOW=0.16, MAXT=0.5;
+    let sx=0, sy=0, dx=0, dy=0, active=false, id=null, lock=null, moved=false;
+
+    // a drag that ends on a link is not a click
+    stage.addEventListener('click', e => { if (moved){ e.preventDefault(); e.stopPropagation(); } }, true);
+
+    function start(e){
+      if (e.pointerType==='mouse' && e.button!==0) return;
+      active=true; id=e.pointerId; sx=e.clientX; sy=e.clientY; dx=dy=0; lock=null; moved=false;
+      stage.classList.add('dragging'); stage.setPointerCapture(id); document.body.style.userSelect='none';
+    }
+    function move(e){
+      if (!active || e.pointerId!==id) return;
+      dx=e.clientX-sx; dy=e.clientY-sy;
+      if (!lock && (Math.abs(dx)>8 || Math.abs(dy)>8)) lock=(Math.abs(dx)>Math.abs(dy))?'x':'y';
+      if (lock==='x'){
+        e.preventDefault(); moved=true;
+        const deg = tilt ? Math.max(-MAXT, Math.min(MAXT, dx*0.02)) : 0;
+        stage.style.transform=`translateX(${dx*FOLLOW}px)` + (deg ? ` rotate(${deg}deg)` : '');
+      }
+    }
+    function end(e){
+      if (!active || e.pointerId!==id) return;
+      active=false; stage.classList.remove('dragging'); document.body.style.userSelect='';
+      if (lock==='x' && Math.abs(dx)>TH && Math.abs(dy)<RS){
+        onSwipe(dx<0 ? 1 : -1);
+        stage.classList.add(dx<0 ? 'swipe-left' : 'swipe-right');
+        setTimeout(()=>stage.classList.remove('swipe-left','swipe-right'), 460);
+      }
+      stage.style.transition='transform .38s ease'; stage.style.transform='';
+      setTimeout(()=> stage.style.transition='', 380);
+      id=null; lock=null;
+      setTimeout(()=>{ moved=false; }); // after the click that ends the drag
+    }
+    stage.addEventListener('pointerdown', start, {passive:false});
+    stage.addEventListener('pointermove',  move,  {passive:false});
+    stage.addEventListener('pointerup',    end,   {passive:false});
+    stage.addEventListener('pointercancel',end,   {passive:false});
+    stage.querySelectorAll('img,a,iframe').forEach(el=> el.addEventListener('dragstart', ev => ev.preventDefault()));
+  }
+
+  /* ================= COMPONENT ================= */
+  function create(root, opts = {}){
+    const o = { label:'Carrousel', slideLabel: i => `Élément ${i+1}`, show(){}, autoplay:0, tilt:false, ...opts };
+    let count = 0, idx = 0;
+
+    root.setAttribute('role', 'region');
+    root.setAttribute('aria-roledescription', 'carrousel');
+    root.setAttribute('aria-label', o.label);
+    if (!root.hasAttribute('tabindex')) root.tabIndex = 0;
+
+    const live = document.createElement('p');
+    live.className = 'kc-live';
+    live.setAttribute('aria-live', 'polite');
+    live.setAttribute('aria-atomic', 'true');
+    root.appendChild(live);
+
+    const dotList = o.dots || null;
+    if (dotList){
+      dotList.classList.add('kc-dots');
+      dotList.setAttribute('role', 'group');
+      dotList.setAttribute('aria-label', `${o.label} : choisir`);
+    }
+
+    function paint(announce){
+      if (!count) return;
+      o.show(idx);
+      dotList?.querySelectorAll('.kc-dot').forEach((dot, i) => {
+        if (i === idx) dot.setAttribute('aria-current', 'true');
+        else dot.removeAttribute('aria-current');
+      });
+      live.setAttribute('aria-live', announce ? 'polite' : 'off');
+      live.textContent = `${idx+1} sur ${count} : ${o.slideLabel(idx)}`;
+    }
+    function go(i, { user = true } = {}){
+      if (!count) return;
+      idx = ((i % count) + count) % count;
+      if (user) stop();
+      paint(user);
+    }
+    const prev = () => go(idx - 1);
+    const next = () => go(idx + 1);
+
+    function renderDots(){
+      if (!dotList) return;
+      dotList.replaceChildren();
+      for (let i = 0; i < count; i++){
+        const dot = document.createElement('button');
+        dot.type = 'button'; dot.className = 'kc-dot';
+        dot.setAttribute('aria-label', `${i+1} sur ${count} : ${o.slideLabel(i)}`);
+        dot.addEventListener('click', () => go(i));
+        dot.textContent = '●';
+        dotList.appendChild(dot);
+      }
+    }
+
+    /* Autoplay */
+    let timer = null, stopped = false, held = false;
+    const pauseBtn = document.createElement('button');
+    pauseBtn.type = 'button'; pauseBtn.className = 'kc-pause';
+    pauseBtn.textContent = '⏸'; pauseBtn.setAttribute('aria-label', 'Arrêter le défilement automatique');
+    pauseBtn.addEventListener('click', () => { stop(); root.focus(); });
+
+    function tick(){ if (!held && count > 1) go(idx + 1, { user:false }); }
+    function startAutoplay(){
+      if (!o.autoplay || stopped || timer !== null || reducedMotion() || count < 2) return;
+      timer = setInterval(tick, o.autoplay);
+      (dotList || root).appendChild(pauseBtn);
+    }
+    function stop(){
+      stopped = true;
+      if (timer !== null){ clearInterval(timer); timer = null; }
+      pauseBtn.remove();
+    }
+    // hovering or focusing the carousel holds the rotation (WCAG 2.2.2)
+    root.addEventListener('mouseenter', () => { held = true; });
+    root.addEventListener('mouseleave', () => { held = false; });
+    root.addEventListener('focusin', () => { held = true; });
+    root.addEventListener('focusout', e => { if (!root.contains(e.relatedTarget)) held = false; });
+
+    /* Controls */
+    o.prev?.addEventListener('click', prev);
+    o.next?.addEventListener('click', next);
+    // ←/→ only for this carousel, never while typing or inside an open menu
+    root.addEventListener('keydown', e => {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest('input, textarea, select, details[open]')) return;
+      if (e.key === 'ArrowLeft'){ e.preventDefault(); prev(); }
+      if (e.key === 'ArrowRight'){ e.preventDefault(); next(); }
+    });
+    if (o.stage) enableSwipe(o.stage, dir => go(idx + dir), { tilt:o.tilt });
+
+    return {
+      setCount(n, start = 0){
+        count = n;
+        idx = Math.min(start, Math.max(n - 1, 0));
+        renderDots();
+        paint(false);
+        startAutoplay();
+      },
+      go, prev, next, stop,
+      get index(){ return idx; }
+    };
+  }
+
+  window.KizCarousel = { create };
+})();
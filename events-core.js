@@ -0,0 +1,319 @@
+/* =========================================================
+   KizBourges — events-core.js
+   The pure half of the events component: CSV rows → events, selection,
+   dates, labels and links. No DOM and no fetch, so one file serves both sides:
+
+   - the pages load it before helloasso.js and events.js (window.KizEventsCore)
+   - the build scripts import it for its global:
+       import "../events-core.js";
+       const { toEvent, fmtWhen } = globalThis.KizEventsCore;
+     (prerender.js writes the same cards as events.js, covers.js and
+     structured_data.js read covers the way the pages do)
+
+   Dates are formatted in Paris time whatever the visitor's (or the runner's) zone.
+   ========================================================= */
+(function(root){
+  const ZONE = 'Europe/Paris';
+  const SITE_URL = 'https://kizbourges.fr/';
+  const FALLBACK_COVER = 'Images/cover.jpeg';
+  const COVER_SIZES_DIR = 'Images/events/sizes/';
+  const DETAIL_PREFIX = '#evenement/';
+  const PLAYLIST_PREFIX = '#playlist/';
+
+  /* ================= ROWS ================= */
+  function isTrue(v){ return /^(true|1|yes|oui)$/i.test((v || '').replace(/^!/,'').trim()); }
+  const unlock = v => (v || '').replace(/^!/,'').trim();
+
+  // "/images/x.jpg" → "Images/x.jpg", GitHub "blob" pages → the raw file;
+  // other schemes (data:, javascript:…) are no cover at all
+  function normalizeCover(url){
+    if(!url) return '';
+    url = url.trim();
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^https?:/i.test(url)) return '';
+    if (url.startsWith('/')) url = url.replace(/^\/+/, '');
+    if (/^https?:\/\/github\.com\/.+\/blob\//i.test(url)) {
+      url = url.replace(/^https?:\/\/github\.com\//i,'https://raw.githubusercontent.com/').replace('/blob/','/');
+    }
+    if (url.startsWith('images/')) url = 'Images/' + url.slice(7);
+    return url;
+  }
+  // event_url / ticket_url end up in an href: only http(s) links, anything else is no link at all
+  function linkUrl(url){
+    url = (url || '').trim();
+    return /^https?:\/\/[^\s/]/i.test(url) ? url : '';
+  }
+  // "1080x1350" → { width, height }
+  function parseSize(v){
+    const m = /^(\d+)x(\d+)$/.exec(v || '');
+    return m ? { width: +m[1], height: +m[2] } : null;
+  }
+
+  // category column ("course" / "event"), else the old name heuristic
+  function categoryOf(rawCategory, name){
+    const c = unlock(rawCategory).toLowerCase();
+    if (c === 'course' || c === 'cours') return 'course';
+    if (c === 'event' || c === 'evenement' || c === 'événement') return 'event';
+    return /(^|\b)(cours|course|hebdo|weekly)(\b|$)/i.test(name) ? 'course' : 'event';
+  }
+
+  // venues: Map venue_id → entry of venues.json (empty: the calendar text as it is)
+  function toEvent(r, venues = new Map()){
+    const name = (r.name || '').trim();
+    return {
+      id: unlock(r.id) || name,
+      name,
+      start_time: unlock(r.start_time),
+      end_time: unlock(r.end_time),
+      all_day: isTrue(r.all_day),
+      place: toPlace(unlock(r.place), unlock(r.venue_id), venues),
+      cover: normalizeCover(unlock(r.cover)),
+      coverSize: parseSize(unlock(r.cover_size)),
+      coverWidths: unlock(r.cover_variants).split('|').map(Number).filter(w => w > 0),
+      event_url: linkUrl(unlock(r.event_url)),
+      ticket_url: linkUrl(unlock(r.ticket_url)),
+      status: unlock(r.status).toLowerCase() || 'confirmed',
+      price: unlock(r.price),
+      level: unlock(r.level),
+      styles: unlock(r.style).split('|').filter(Boolean),
+      hidden: isTrue(r.hidden),
+      featured: isTrue(r.featured),
+      description: unlock(r.description),
+      series: unlock(r.series),
+      recurrence: unlock(r.recurrence),
+      category: categoryOf(r.category || r.type, name)
+    };
+  }
+
+  /* ================= VENUES ================= */
+  // The venue of the row when the sync found one, else the calendar text as it is
+  function toPlace(text, id, venues = new Map()){
+    const v = venues.get(id);
+    if (!v) return { name: text };
+    const coord = n => (typeof n === 'number' && Number.isFinite(n)) ? n : null;
+    return { id: v.id, name: v.name, address: v.address || '', lat: coord(v.lat), lon: coord(v.lon),
+             access: v.access || '', parking: v.parking || '' };
+  }
+  const placeText = p => [p?.name, p?.address].filter(Boolean).join(', ');
+
+  // OpenStreetMap: the venue on the map, the route to it, and the embeddable map
+  function osmLinks(p){
+    const OSM = 'https://www.openstreetmap.org/';
+    const q = encodeURIComponent(p.address || placeText(p));
+    if (p.lat === null || p.lon === null) return { map: `${OSM}search?query=${q}`, route: `${OSM}directions?to=${q}`, embed: '' };
+    const d = 0.004;
+    const bbox = [p.lon - d, p.lat - d / 2, p.lon + d, p.lat + d / 2].map(n => n.toFixed(5)).join(',');
+    return {
+      map: `${OSM}?mlat=${p.lat}&mlon=${p.lon}#map=18/${p.lat}/${p.lon}`,
+      route: `${OSM}directions?route=%3B${p.lat}%2C${p.lon}`,
+      embed: `${OSM}export/embed.html?bbox=${bbox}&layer=mapnik&marker=${p.lat}%2C${p.lon}`
+    };
+  }
+  const routeLabel = p => `Itinéraire vers ${p.name} (OpenStreetMap)`;
+
+  /* ================= SELECTION ================= */
+  // End instant of a row (all-day rows last until the end of their last day)
+  function endOf(ev){
+    const v = ev.end_time || ev.start_time;
+    return ev.all_day ? new Date(v + 'T23:59:59') : new Date(v);
+  }
+
+  // Dates that will not take place: shown struck through, never offered to the calendar
+  const OFF_STATUSES = ['cancelled', 'skipped'];
+  const isOff = ev => OFF_STATUSES.includes(ev.status);
+
+  function select(rows, { category = '', upcoming = true, max = 0, series = false, now = new Date() } = {}){
+    let out = rows.filter(ev =>
+      (!category || ev.category === category) && (!upcoming || !(endOf(ev) < now))
+    );
+    if (series) out = groupSeries(out);
+    return max > 0 ? out.slice(0, max) : out;
+  }
+
+  // Occurrences sharing a series (master UID) → one item, placed at its first date.
+  // The item is its next date that takes place, plus { isSeries, dates, off }.
+  function groupSeries(rows){
+    const groups = new Map();
+    const out = [];
+    rows.forEach(ev => {
+      if (!ev.series){ out.push(ev); return; }
+      if (!groups.has(ev.series)){ groups.set(ev.series, []); out.push(groups.get(ev.series)); }
+      groups.get(ev.series).push(ev);
+    });
+    return out.map(x => Array.isArray(x) ? toSeries(x) : x);
+  }
+  function toSeries(occ){
+    const dates = occ.filter(ev => !isOff(ev));
+    const next = dates[0] || occ[0];
+    return {
+      ...next,
+      isSeries: true,
+      recurrence: next.recurrence || occ.find(ev => ev.recurrence)?.recurrence || '',
+      status: dates.length ? 'confirmed' : occ[occ.length - 1].status,
+      dates,
+      off: occ.filter(isOff)
+    };
+  }
+
+  /* ================= FORMATTING ================= */
+  function fmtDate(iso){
+    if(!iso) return '';
+    const d = new Date(iso);
+    return isNaN(d) ? '' : d.toLocaleString('fr-FR', {
+      timeZone:ZONE, weekday:'short', day:'2-digit', month:'short', hour:'2-digit', minute:'2-digit'
+    });
+  }
+
+  /* Date ranges: "sam. 12 – dim. 13 oct.", "mar. 20 oct., 20:00–21:15" */
+  function fmtParis(d, opts){ return d.toLocaleString('fr-FR', { timeZone:ZONE, ...opts }); }
+  function parseWhen(v){
+    if(!v) return null;
+    // all-day rows carry plain dates: pin them to midday so no timezone shifts the day
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(v) ? new Date(v + 'T12:00:00Z') : new Date(v);
+    return isNaN(d) ? null : d;
+  }
+  function fmtWhen(ev){
+    const s = parseWhen(ev.start_time), e = parseWhen(ev.end_time);
+    if(!s) return '';
+    const DAY = { weekday:'short', day:'2-digit', month:'short' };
+    const dayKey = d => fmtParis(d, { year:'numeric', month:'2-digit', day:'2-digit' });
+    const time = d => fmtParis(d, { hour:'2-digit', minute:'2-digit' });
+
+    if (ev.all_day){
+      if (!e || dayKey(e) === dayKey(s)) return fmtParis(s, DAY);
+      const sameMonth = dayKey(s).slice(3) === dayKey(e).slice(3);
+      return `${fmtParis(s, sameMonth ? { weekday:'short', day:'2-digit' } : DAY)} – ${fmtParis(e, DAY)}`;
+    }
+    if (!e || e <= s) return fmtDate(ev.start_time);
+    // same day, or a soirée ending in the small hours: one date + time range
+    if (dayKey(e) === dayKey(s) || e - s < 12*3600*1000) return `${fmtDate(ev.start_time)}–${time(e)}`;
+    return `${fmtDate(ev.start_time)} – ${fmtDate(ev.end_time)}`;
+  }
+  // Paris calendar day of a row (all-day rows already are one)
+  const parisDay = v => /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : new Date(v).toLocaleDateString('en-CA', { timeZone:ZONE });
+
+  function slugify(s){
+    return (s || '').toString().trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'')
+      .replace(/[^a-z0-9]+/g,'-').replace(/^-+|-+$/g,'');
+  }
+  // "#evenement/<slug>": the detail view of the homepage
+  const detailHash = ev => DETAIL_PREFIX + slugify(ev.id);
+
+  /* ================= BADGES / TAGS ================= */
+  const STATUS_LABELS = { cancelled:'Annulé', rescheduled:'Déplacé', skipped:'Vacances' };
+  const STYLE_LABELS = { kizomba:'Kizomba', semba:'Semba', urban:'Urban Kiz', 'urban-kiz':'Urban Kiz', tarraxa:'Tarraxa', douceur:'Douceur' };
+  // Metadata chips: [class, text]
+  function tagList(ev){
+    const chips = [];
+    if (ev.featured) chips.push(['is-featured', 'À la une']);
+    if (ev.price) chips.push(['is-price', ev.price]);
+    if (ev.level) chips.push(['is-level', ev.level.charAt(0).toUpperCase() + ev.level.slice(1)]);
+    ev.styles.forEach(st => chips.push(['is-style', STYLE_LABELS[st] || st]));
+    return chips;
+  }
+
+  // Series cards: the next dates shown, and "Pas de cours : mar. 20 oct. (vacances), …"
+  const SERIES_NEXT = 3;
+  function offText(ev){
+    const label = ev.category === 'course' ? 'Pas de cours' : 'Pas de séance';
+    return `${label} : ` + ev.off
+      .map(o => `${fmtParis(parseWhen(o.start_time), { weekday:'short', day:'numeric', month:'short' })} (${STATUS_LABELS[o.status].toLowerCase()})`)
+      .join(', ');
+  }
+
+  /* ================= COVERS ================= */
+  // Responsive posters: the sync (scripts/covers.js) writes Images/events/sizes/<variantName>
+  // and lists the widths in cover_variants. Rows without variants keep the plain cover.
+  // FNV-1a of the cover's path: posters with the same file name in two folders get their own variants
+  function pathHash(s){
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193) >>> 0;
+    return h.toString(16).padStart(8, '0');
+  }
+  // "Images/events/cid.jpg", 640, "avif" → "cid-<hash>-640.avif"
+  const variantName = (cover, width, ext) => `${cover.split('/').pop().replace(/\.[^.]+$/, '')}-${pathHash(cover)}-${width}.${ext}`;
+  function coverSrcset(ev, ext){
+    return ev.coverWidths.map(w => `${COVER_SIZES_DIR}${encodeURIComponent(variantName(ev.cover, w, ext))} ${w}w`).join(', ');
+  }
+  const hasVariants = ev => !!(ev.cover && ev.coverWidths?.length && !/^https?:/i.test(ev.cover));
+
+  /* ================= "AJOUTER À L'AGENDA" ================= */
+  // .ics file from the sync + Google / Outlook links
+  const icsHref = ev => `/feeds/events/${slugify(ev.id)}.ics`;
+  function calDay(v, plus){
+    const d = new Date(v + 'T12:00:00Z');
+    d.setUTCDate(d.getUTCDate() + (plus || 0));
+    return d.toISOString().slice(0,10);
+  }
+  function calStamp(v){ return new Date(v).toISOString().replace(/[-:]/g,'').replace(/\.\d{3}/,''); }
+  function calDetails(ev){
+    return [ev.ticket_url && `Billets : ${ev.ticket_url}`, ev.event_url && `Infos : ${ev.event_url}`, SITE_URL]
+      .filter(Boolean).join('\n');
+  }
+  function googleCalUrl(ev){
+    const end = ev.end_time || ev.start_time;
+    const dates = ev.all_day
+      ? `${calDay(ev.start_time).replace(/-/g,'')}/${calDay(end, 1).replace(/-/g,'')}`
+      : `${calStamp(ev.start_time)}/${calStamp(end)}`;
+    const q = new URLSearchParams({ action:'TEMPLATE', text:ev.name, dates, location:placeText(ev.place), details:calDetails(ev) });
+    return 'https://calendar.google.com/calendar/render?' + q;
+  }
+  function outlookCalUrl(ev){
+    const end = ev.end_time || ev.start_time;
+    const q = new URLSearchParams({
+      path:'/calendar/action/compose', rru:'addevent', subject:ev.name,
+      startdt: ev.all_day ? calDay(ev.start_time) : new Date(ev.start_time).toISOString(),
+      enddt:   ev.all_day ? calDay(end, 1) : new Date(end).toISOString(),
+      location:placeText(ev.place), body:calDetails(ev)
+    });
+    if (ev.all_day) q.set('allday','true');
+    return 'https://outlook.live.com/calendar/0/deeplink/compose?' + q;
+  }
+
+  /* ================= PLAYLISTS ================= */
+  // playlists.json: [{ title, url, style, event?, category? }], each with its #playlist/<slug>
+  const toPlaylists = list => (Array.isArray(list) ? list : [])
+    .filter(p => p && p.title && p.url)
+    .map(p => ({ ...p, slug: slugify(p.title) }));
+  // The event's own playlist (event: its id or series), else one of its style, else one for its category
+  function playlistFor(ev, list){
+    if (!ev) return null;
+    return list.find(p => p.event && (p.event === ev.id || p.event === ev.series))
+      || list.find(p => p.style && ev.styles.includes(p.style))
+      || list.find(p => p.category && p.category === ev.category)
+      || null;
+  }
+  const playlistText = ev => ev.category === 'course' ? '🎧 Écouter la playlist du cours' : '🎧 Écouter la playlist de la soirée';
+
+  /* ================= CARPOOL ================= */
+  // carpool.json (see events.js): the Google Form prefilled with the event, its Paris day and venue
+  function carpoolUrl(ev, cfg, base = SITE_URL){
+    const url = new URL(cfg.form, base);
+    const values = { event: ev.name, date: parisDay(ev.start_time), venue: placeText(ev.place) };
+    const fields = Object.entries(cfg.prefill || {}).filter(([k, id]) => id && values[k]);
+    if (fields.length) url.searchParams.set('usp', 'pp_url');
+    fields.forEach(([k, id]) => url.searchParams.set(id, values[k]));
+    return url.href;
+  }
+  // Cards link to the form only once it can be prefilled: its viewform address and an entry id
+  const CARPOOL_FORM = /^https:\/\/docs\.google\.com\/forms\/d\/e\/[\w-]+\/viewform(?:[?#]|$)/;
+  const isCarpoolForm = cfg => !!cfg && CARPOOL_FORM.test(cfg.form || '') && Object.values(cfg.prefill || {}).some(Boolean);
+  const carpoolLabel = ev => `Covoiturage pour ${ev.name} : proposer ou chercher une place`;
+
+  /* ================= HELLOASSO ================= */
+  // https://www.helloasso.com/associations/<org>/<type>/<form>[/widget]
+  const HELLOASSO_FORM = /^https?:\/\/(?:www\.)?helloasso\.com\/associations\/[\w-]+\/(?:adhesions|evenements|formulaires|boutiques|billetteries|paiements|collectes)\/[\w-]+(?:\/widget)?\/?(?:[?#].*)?$/i;
+  const isHelloAssoForm = url => HELLOASSO_FORM.test((url || '').trim());
+
+  root.KizEventsCore = {
+    ZONE, SITE_URL, FALLBACK_COVER, COVER_SIZES_DIR, DETAIL_PREFIX, PLAYLIST_PREFIX, STATUS_LABELS, STYLE_LABELS, SERIES_NEXT,
+    isTrue, unlock, normalizeCover, linkUrl, parseSize, categoryOf, toEvent,
+    toPlace, placeText, osmLinks, routeLabel,
+    endOf, isOff, select,
+    fmtParis, parseWhen, fmtWhen, parisDay, slugify, detailHash,
+    tagList, offText, variantName, coverSrcset, hasVariants,
+    icsHref, googleCalUrl, outlookCalUrl,
+    toPlaylists, playlistFor, playlistText,
+    carpoolUrl, isCarpoolForm, carpoolLabel,
+    isHelloAssoForm
+  };
+})(globalThis);
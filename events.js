@@ -0,0 +1,1315 @@
+/* =========================================================
+   KizBourges — events.js
+   One events component for every page, fed by events.json (written by
+   scripts/prerender.js after the sync). CSV sources (archives, fallback when
+   events.json is missing) need PapaParse (loaded before, defer is fine),
+   the carousel layout needs carousel.js (loaded before), and ticket links to
+   a HelloAsso form open in the modal when helloasso.js is loaded before.
+   The pure helpers (rows → events, dates, labels, links) are in events-core.js,
+   loaded first and shared with the pre-render (scripts/prerender.js).
+
+   Declarative:
+     <div data-events data-layout="compact" data-category="course" data-max="4"></div>
+   Scripted:
+     const ctl = KizEvents.mount(el, { layout:'carousel', category:'event' });
+     ctl.setCategory('course');
+   Past seasons (archives/index.json from the sync):
+     KizEvents.archives(el);
+   Playlists (playlists.json), linked from the cards as #playlist/<slug>:
+     KizEvents.playlists().then(list => KizEvents.playlistFor(ev, list));
+   Carpooling (carpool.json): a "Covoiturage" link on the cards, and the offers
+   and requests grouped by upcoming event:
+     KizEvents.carpool(el);
+   Course slots (courses.json, prices from helloasso.json), with their next session:
+     KizEvents.schedule(el);
+   Venues (venues.json, matched by the sync as venue_id): ev.place is then the
+   canonical { id, name, address, lat, lon, access, parking }, with an
+   OpenStreetMap "Itinéraire" link on the cards and the details in the detail view.
+
+   Config: source (events.json or a CSV URL), category ('event' | 'course' | '' = all),
+           max (0 = no limit), layout ('carousel' | 'list' | 'compact' | 'agenda' | 'posters'),
+           upcoming (hide rows already over, default true), empty (text),
+           series (one item per recurring series instead of one per date, default false),
+           urlState (agenda only: mirror the filters in the URL query, default true),
+           autoplay (carousel only: ms between slides, 0 = off)
+   ========================================================= */
+(function(){
+  const core = window.KizEventsCore;
+  const {
+    FALLBACK_COVER, DETAIL_PREFIX, PLAYLIST_PREFIX, STATUS_LABELS, STYLE_LABELS, SERIES_NEXT,
+    toPlace, placeText, osmLinks, routeLabel, endOf, isOff, select, fmtParis, parseWhen, fmtWhen, parisDay,
+    slugify, detailHash, tagList, offText, coverSrcset, hasVariants, icsHref, googleCalUrl, outlookCalUrl,
+    toPlaylists, playlistText, carpoolUrl, isCarpoolForm, carpoolLabel
+  } = core;
+  const DEFAULT_SOURCE = 'events.json';
+  const CSV_SOURCE = 'kizbourges_events_template1.csv';
+
+  /* ================= DATA ================= */
+  const ready = new Promise(res => {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', res, { once:true });
+    else res();
+  });
+
+  function detectDelimiter(text){
+    const header = text.split(/\r?\n/,1)[0] || '';
+    const semis  = (header.match(/;/g)||[]).length;
+    const commas = (header.match(/,/g)||[]).length;
+    return semis > commas ? ';' : ',';
+  }
+
+  /* ================= VENUES ================= */
+  // venues.json: [{ id, name, aliases, address, lat?, lon?, access?, parking? }]
+  const VENUES_SOURCE = 'venues.json';
+  let venueReq = null, venueMap = new Map();
+  function venues(){
+    venueReq ??= fetch(VENUES_SOURCE, { cache:'no-cache' })
+      .then(r => r.ok ? r.json() : [])
+      .catch(() => [])
+      .then(list => {
+        venueMap = new Map((Array.isArray(list) ? list : []).filter(v => v && v.id && v.name).map(v => [v.id, v]));
+        return venueMap;
+      });
+    return venueReq;
+  }
+  const toEvent = r => core.toEvent(r, venueMap);
+
+  // "Salle Baptiste Marcet · Itinéraire" (registered venues only)
+  function fillWhere(el, ev){
+    el.textContent = ev.place?.name || '—';
+    if (!ev.place?.id) return;
+    const a = linkBtn(osmLinks(ev.place).route, 'Itinéraire', 'ev-route');
+    a.setAttribute('aria-label', routeLabel(ev.place));
+    el.append(' · ', a);
+  }
+
+  // Raw rows of a source: events.json from the pre-render ({ columns, rows: [[…]] }) or a CSV
+  function fetchRows(source){
+    if (/\.json$/i.test(source)){
+      // revalidated rather than re-downloaded: a 304 until the next sync
+      return fetch(source, { cache:'no-cache' })
+        .then(r => { if (!r.ok) throw new Error(`${source}: HTTP ${r.status}`); return r.json(); })
+        .then(({ columns, rows }) => rows.map(v => Object.fromEntries(columns.map((c, i) => [c, v[i] ?? '']))));
+    }
+    // revalidated too: the service worker (sw.js) keeps the last copy for offline use
+    return Promise.all([fetch(source, { cache:'no-cache' }).then(r => r.text()), ready]).then(([text]) =>
+      Papa.parse(text, { header:true, skipEmptyLines:true, delimiter:detectDelimiter(text) }).data);
+  }
+
+  // One fetch per source, shared by every component on the page
+  const cache = new Map();
+  function load(source = DEFAULT_SOURCE){
+    if (!cache.has(source)){
+      // no events.json yet (or unreadable): the CSV it is built from
+      const raw = source === DEFAULT_SOURCE ? fetchRows(source).catch(() => fetchRows(CSV_SOURCE)) : fetchRows(source);
+      cache.set(source, Promise.all([raw, ready, venues()]).then(([data]) => data
+        .map(row => {
+          const o = {};
+          for (const k in row) if (Object.hasOwn(row,k)) o[(k||'').trim()] = typeof row[k]==='string' ? row[k].trim() : row[k];
+          return toEvent(o);
+        })
+        .filter(x => x.name && !x.hidden)
+        .sort((a,b)=> new Date(a.start_time||0) - new Date(b.start_time||0))
+      ));
+    }
+    return cache.get(source);
+  }
+
+  // The detail view lives on the homepage: other pages link there
+  function detailHref(ev){
+    const here = document.getElementById('evdOverlay') ? '' : '/';
+    return here + detailHash(ev);
+  }
+
+  /* ================= BADGES / TAGS / DESCRIPTION ================= */
+  function statusBadge(status){
+    if (!STATUS_LABELS[status]) return null;
+    const b=document.createElement('span');
+    b.className='ev-badge is-'+status; b.textContent=STATUS_LABELS[status];
+    return b;
+  }
+  function tagChips(ev){
+    return tagList(ev).map(([cls, text])=>{
+      const c = document.createElement('span');
+      c.className = 'ev-tag ' + cls; c.textContent = text;
+      return c;
+    });
+  }
+
+  // The description column is HTML: rebuild it from an inert document, keeping only
+  // <p>, <br> and http(s)/mailto links — never assigned through innerHTML
+  const DESC_TAGS = { P:'p', BR:'br', A:'a' };
+  const DESC_PREVIEW = 160; // characters shown before "voir plus"
+  function safeDescription(html){
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const out = document.createDocumentFragment();
+    (function copy(from, to){
+      from.childNodes.forEach(n=>{
+        if (n.nodeType === Node.TEXT_NODE){ to.append(n.textContent); return; }
+        if (n.nodeType !== Node.ELEMENT_NODE || /^(SCRIPT|STYLE|TEMPLATE)$/.test(n.tagName)) return;
+        const tag = DESC_TAGS[n.tagName];
+        const href = (n.getAttribute('href') || '').trim();
+        if (!tag || (tag === 'a' && !/^(https?:|mailto:)/i.test(href))){ copy(n, to); return; }
+        const el = document.createElement(tag);
+        if (tag === 'a'){ el.href = href; el.target = '_blank'; el.rel = 'noopener'; }
+        copy(n, el);
+        to.appendChild(el);
+      });
+    })(doc.body, out);
+    return out;
+  }
+  function descBlock(ev, box = document.createElement('div'), clamp = true){
+    box.className = 'ev-desc';
+    box.replaceChildren();
+    box.hidden = !ev.description;
+    if (!ev.description) return box;
+
+    const body = document.createElement('div');
+    body.className = 'ev-desc-body';
+    body.appendChild(safeDescription(ev.description));
+    box.appendChild(body);
+    if (clamp && body.textContent.length > DESC_PREVIEW){
+      body.classList.add('is-clamped');
+      const more = document.createElement('button');
+      more.type = 'button'; more.className = 'ev-desc-more';
+      more.textContent = 'Voir plus'; more.setAttribute('aria-expanded', 'false');
+      more.addEventListener('click', ()=>{
+        const open = !body.classList.toggle('is-clamped');
+        more.textContent = open ? 'Voir moins' : 'Voir plus';
+        more.setAttribute('aria-expanded', String(open));
+      });
+      box.appendChild(more);
+    }
+    return box;
+  }
+
+  /* ================= "AJOUTER À L'AGENDA" ================= */
+  // .ics file from the sync + Google / Outlook links
+  function calMenu(ev){
+    const d = document.createElement('details');
+    d.className = 'cal-menu';
+    const sum = document.createElement('summary');
+    sum.className = 'btn alt'; sum.textContent = 'Ajouter à l’agenda';
+    const menu = document.createElement('div');
+    menu.className = 'cal-menu-list';
+    [
+      ['Fichier .ics (Apple, Android…)', icsHref(ev), true],
+      ['Google Agenda', googleCalUrl(ev)],
+      ['Outlook', outlookCalUrl(ev)]
+    ].forEach(([label, href, file])=>{
+      const a = document.createElement('a');
+      a.href = href; a.textContent = label;
+      if (file) a.setAttribute('download',''); else { a.target = '_blank'; a.rel = 'noopener'; }
+      menu.appendChild(a);
+    });
+    d.append(sum, menu);
+    return d;
+  }
+  // one open menu at a time, closed by an outside click
+  document.addEventListener('click', (e)=>{
+    document.querySelectorAll('.cal-menu[open]').forEach(d=>{ if (!d.contains(e.target)) d.open = false; });
+  });
+
+  function linkBtn(href, text, cls){
+    const a = document.createElement('a');
+    a.href = href; a.className = cls; a.textContent = text;
+    if (/^https?:/i.test(href)){ a.target = '_blank'; a.rel = 'noopener'; }
+    return a;
+  }
+  // Ticket links to a HelloAsso form open in the site's modal (index.html, helloasso.js)
+  function ticketLink(ev, text){
+    const a = linkBtn(ev.ticket_url, text, 'btn');
+    if (window.KizHelloAsso?.isForm(ev.ticket_url)){ a.classList.add('ha-ticket'); a.dataset.haTitle = ev.name; }
+    return a;
+  }
+  function emptyCard(text){
+    const d = document.createElement('div');
+    d.className = 'card ev-empty';
+    d.textContent = text;
+    return d;
+  }
+
+  // Series card body: the next dates (links to their detail view) and the dates without a session
+  function seriesDates(ev){
+    const box = document.createElement('div');
+    box.className = 'ev-series';
+    if (ev.dates.length){
+      const ul = document.createElement('ul');
+      ul.className = 'ev-series-dates';
+      ul.setAttribute('aria-label', 'Prochaines dates');
+      ev.dates.slice(0, SERIES_NEXT).forEach(o => {
+        const li = document.createElement('li');
+        const a = document.createElement('a');
+        a.href = detailHref(o); a.textContent = fmtWhen(o);
+        li.appendChild(a);
+        const b = statusBadge(o.status);
+        if (b) li.append(' ', b);
+        ul.appendChild(li);
+      });
+      box.appendChild(ul);
+    }
+    if (ev.off.length){
+      const p = document.createElement('p');
+      p.className = 'ev-series-off';
+      p.textContent = offText(ev);
+      box.appendChild(p);
+    }
+    return box;
+  }
+
+  /* ================= COVERS ================= */
+  // Responsive posters: the variants the sync writes (coverSrcset() in events-core.js) in
+  // AVIF and WebP, with the JPEG ones as the <img> srcset. Rows without variants keep the plain cover.
+  const COVER_TYPES = [['avif','image/avif'], ['webp','image/webp']];
+
+  // Points img (and the <source>s of its <picture>, if any) at the cover of ev
+  function setCover(img, ev, sizes){
+    const pic = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+    pic?.querySelectorAll('source').forEach(s => s.remove());
+    ['srcset','sizes','width','height'].forEach(a => img.removeAttribute(a));
+    img.onerror = () => {
+      img.onerror = null;
+      pic?.querySelectorAll('source').forEach(s => s.remove());
+      ['srcset','sizes','width','height'].forEach(a => img.removeAttribute(a));
+      img.src = FALLBACK_COVER;
+    };
+    if (hasVariants(ev)){
+      if (pic) for (const [ext, type] of COVER_TYPES){
+        const source = document.createElement('source');
+        source.type = type; source.srcset = coverSrcset(ev, ext); source.sizes = sizes;
+        pic.insertBefore(source, img);
+      }
+      img.srcset = coverSrcset(ev, 'jpg');
+      img.sizes = sizes;
+    }
+    if (ev.coverSize){ img.width = ev.coverSize.width; img.height = ev.coverSize.height; }
+    img.src = ev.cover || FALLBACK_COVER;
+  }
+  function coverPicture(ev, sizes, cls){
+    const pic = document.createElement('picture');
+    const img = document.createElement('img');
+    if (cls) img.className = cls;
+    img.alt = `Affiche : ${ev.name || 'Événement'}`;
+    img.loading = 'lazy';
+    pic.appendChild(img);
+    setCover(img, ev, sizes);
+    return pic;
+  }
+
+  /* ================= PLAYLISTS ================= */
+  // playlists.json: [{ title, url, style, event?, category? }], played by the "Ambiance
+  // musicale" section (#son); cards link to the one that goes with their event
+  const PLAYLISTS_SOURCE = 'playlists.json';
+  let playlistReq = null, playlistList = [];
+  function playlists(){
+    playlistReq ??= fetch(PLAYLISTS_SOURCE, { cache:'no-cache' })
+      .then(r => r.ok ? r.json() : [])
+      .catch(() => [])
+      .then(list => {
+        playlistList = toPlaylists(list);
+        return playlistList;
+      });
+    return playlistReq;
+  }
+  const playlistFor = (ev, list = playlistList) => core.playlistFor(ev, list);
+  function playlistLink(ev){
+    const p = !isOff(ev) && playlistFor(ev);
+    if (!p) return null;
+    const here = document.getElementById('son') ? '' : '/';
+    return linkBtn(here + PLAYLIST_PREFIX + p.slug, playlistText(ev), 'btn alt ev-playlist');
+  }
+
+  /* ================= CARPOOL ================= */
+  // carpool.json: { form, prefill: { event, date, venue }, responses, columns }
+  // - form: the Google Form; prefill holds the entry.<id> of its event / date / venue questions
+  //   (prefilling needs the docs.google.com/forms/d/e/…/viewform address, not forms.gle);
+  //   until both are set the cards have no carpool link
+  // - responses: CSV export of the answers ("Publish to the web"), read with columns{} as headers;
+  //   a Sheets export also needs https://docs.google.com https://*.googleusercontent.com in the
+  //   connect-src of index.html. fixtures/carpool_responses.csv has the layout of such an export.
+  // Cards link to the form prefilled for their event; carpool(el) lists the offers and
+  // requests of the events still to come, with first names and towns only.
+  const CARPOOL_SOURCE = 'carpool.json';
+  const CARPOOL_COLUMNS = { type:'Type', event:'Événement', date:'Date', first_name:'Prénom', town:'Ville', seats:'Places' };
+  let carpoolReq = null, carpoolCfg = null;
+  function carpoolConfig(){
+    carpoolReq ??= fetch(CARPOOL_SOURCE, { cache:'no-cache' })
+      .then(r => r.ok ? r.json() : null)
+      .catch(() => null)
+      .then(cfg => {
+        carpoolCfg = isCarpoolForm(cfg) ? cfg : null;
+        return cfg;
+      });
+    return carpoolReq;
+  }
+  // Only for dates still to come that take place
+  function carpoolLink(ev, text = '🚗 Covoiturage'){
+    if (isOff(ev) || endOf(ev) < new Date() || !carpoolCfg) return null;
+    const a = linkBtn(carpoolUrl(ev, carpoolCfg, location.href), text, 'btn alt ev-carpool');
+    a.setAttribute('aria-label', carpoolLabel(ev));
+    return a;
+  }
+
+  // "24/10/2026 20:00:00" (Sheets, French locale) or "2026-10-24" → "2026-10-24"
+  function answerDay(v){
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(v);
+    if (iso) return iso.slice(1).join('-');
+    const fr = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(v);
+    return fr ? `${fr[3]}-${fr[2].padStart(2,'0')}-${fr[1].padStart(2,'0')}` : '';
+  }
+  // One answer → { kind, event, day, firstName, town, seats }: nothing else is kept
+  function toListing(row, cols){
+    const get = k => (row[cols[k]] || '').toString().trim();
+    const type = get('type');
+    const first = get('first_name').split(/\s+/)[0] || '';
+    return {
+      kind: /cherch|demande|besoin/i.test(type) ? 'request' : /propos|offre|place/i.test(type) ? 'offer' : '',
+      event: get('event'),
+      day: answerDay(get('date')),
+      firstName: first.charAt(0).toUpperCase() + first.slice(1),
+      town: get('town'),
+      seats: parseInt(get('seats'), 10) || 0
+    };
+  }
+  // Same day and name; the only event of that day; without a date, the next one of that name
+  function listingEvent(l, events){
+    const name = slugify(l.event);
+    const sameDay = events.filter(ev => parisDay(ev.start_time) === l.day);
+    return sameDay.find(ev => slugify(ev.name) === name)
+      || (sameDay.length === 1 ? sameDay[0] : null)
+      || (!l.day && name ? events.find(ev => slugify(ev.name) === name) : null)
+      || null;
+  }
+
+  function carpoolCard(ev, list){
+    const card = document.createElement('article');
+    card.className = 'card covoit-event';
+    const h3 = document.createElement('h3'); h3.textContent = ev.name;
+    const when = document.createElement('p'); when.className = 'covoit-when';
+    when.textContent = [fmtWhen(ev), ev.place?.name].filter(Boolean).join(' · ');
+    card.append(h3, when);
+
+    const cols = document.createElement('div');
+    cols.className = 'covoit-cols';
+    [['offer', '🚗 Proposent une place'], ['request', '🙋 Cherchent une place']].forEach(([kind, label]) => {
+      const items = list.filter(l => l.kind === kind);
+      if (!items.length) return;
+      const box = document.createElement('div');
+      const h4 = document.createElement('h4'); h4.textContent = `${label} (${items.length})`;
+      const ul = document.createElement('ul');
+      items.forEach(l => {
+        const li = document.createElement('li');
+        const who = document.createElement('strong'); who.textContent = l.firstName;
+        li.append(who, l.town ? ` — depuis ${l.town}` : '');
+        if (kind === 'offer' && l.seats) li.append(` · ${l.seats} place${l.seats > 1 ? 's' : ''}`);
+        ul.appendChild(li);
+      });
+      box.append(h4, ul);
+      cols.appendChild(box);
+    });
+    card.appendChild(cols);
+    const link = carpoolLink(ev, 'Proposer ou chercher une place');
+    if (link) card.appendChild(link);
+    return card;
+  }
+
+  // Listings grouped by upcoming event, in date order; answers for past or unknown events are left out
+  function carpool(el, { source = DEFAULT_SOURCE } = {}){
+    el.classList.add('covoit-list');
+    const done = Promise.all([carpoolConfig(), load(source)])
+      .then(([cfg, rows]) => {
+        if (!cfg?.responses) return; // nothing published yet: the form link only
+        return fetchRows(cfg.responses).then(answers => {
+          const cols = { ...CARPOOL_COLUMNS, ...cfg.columns };
+          const now = new Date();
+          const events = rows.filter(ev => !isOff(ev) && !(endOf(ev) < now));
+          const byEvent = new Map();
+          answers.map(r => toListing(r, cols)).filter(l => l.kind && l.firstName).forEach(l => {
+            const ev = listingEvent(l, events);
+            if (!ev) return;
+            if (!byEvent.has(ev)) byEvent.set(ev, []);
+            byEvent.get(ev).push(l);
+          });
+          const cards = events.filter(ev => byEvent.has(ev)).map(ev => carpoolCard(ev, byEvent.get(ev)));
+          el.replaceChildren(...(cards.length ? cards : [emptyCard('Pas encore d’annonce pour les prochaines dates : lance-toi avec le formulaire !')]));
+        });
+      })
+      .catch(err => console.error('Carpool load error:', err));
+    return { ready: done };
+  }
+
+  /* ================= COURSE SCHEDULE ================= */
+  // courses.json: [{ id, title, level, day ('mardi'), start ('20:00'), end, venue (venue id),
+  //                  prices (ids of the season's prices in helloasso.json) or price (text), after? }]
+  // A slot's sessions are the course rows planned on its weekday and time: a moved date keeps
+  // its first slot in its id (<series>__20261020_2000). A slot "after" another one has no
+  // calendar event of its own: it takes place on the same evenings, right after it.
+  // schedule(el) replaces the cards written in the page by one card per slot, with the next
+  // session that takes place, a countdown, and a banner when the dates before it are off or it moved.
+  const COURSES_SOURCE = 'courses.json';
+  const DAY_NAMES = ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'];
+  const OFF_LABELS = { cancelled:'annulée', skipped:'vacances' };
+  const SCHEDULE_REFRESH = 60 * 1000;
+  const RELATIVE = new Intl.RelativeTimeFormat('fr', { numeric:'auto' });
+
+  // "20:00" / "20h" / "20h15" → minutes since midnight
+  function minutesOf(v){
+    const m = /^(\d{1,2})(?::|h)(\d{2})?$/i.exec((v || '').trim());
+    return m && +m[1] < 24 ? +m[1] * 60 + +(m[2] || 0) : null;
+  }
+  const hhmm = min => `${String(Math.floor(min / 60)).padStart(2,'0')}:${String(min % 60).padStart(2,'0')}`;
+  const fmtHour = min => `${Math.floor(min / 60)}h${min % 60 ? String(min % 60).padStart(2,'0') : ''}`;
+
+  function toSlots(list){
+    return (Array.isArray(list) ? list : []).map(s => s && {
+      ...s,
+      day: DAY_NAMES.indexOf((s.day || '').toString().trim().toLowerCase()),
+      start: minutesOf(s.start),
+      end: minutesOf(s.end)
+    }).filter(s => s && s.title && s.day >= 0 && s.start !== null && s.end !== null);
+  }
+
+  // "1|20:00": the weekday (0 = lundi) and time a row was first planned on
+  function slotKey(ev){
+    const m = /__(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})$/.exec(ev.id);
+    const day = m ? `${m[1]}-${m[2]}-${m[3]}` : parisDay(ev.start_time);
+    const time = m ? `${m[4]}:${m[5]}` : fmtParis(new Date(ev.start_time), { hour:'2-digit', minute:'2-digit' });
+    return `${weekday(day)}|${time}`;
+  }
+  function slotSessions(slot, slots, rows){
+    const base = slot.after ? slots.find(s => s.id === slot.after) : slot;
+    if (!base) return [];
+    const key = `${base.day}|${hhmm(base.start)}`;
+    const own = rows.filter(ev => ev.category === 'course' && !ev.all_day && slotKey(ev) === key);
+    if (base === slot) return own;
+    // same evenings, shifted by the gap between the two slots
+    const shift = (slot.start - base.start) * 60000, length = (slot.end - slot.start) * 60000;
+    return own.map(ev => {
+      const s = +parseWhen(ev.start_time) + shift;
+      return { ...ev, start_time: new Date(s).toISOString(), end_time: new Date(s + length).toISOString() };
+    });
+  }
+
+  // "10€ / cours ou 150€ / année" from the season's price grid, else the slot's own text
+  function slotPrice(slot, prices){
+    const grid = (slot.prices || []).map(id => prices.find(p => p.id === id)).filter(Boolean)
+      .map(p => `${p.amount.toLocaleString('fr-FR', { maximumFractionDigits:2 })}€${p.per ? ` / ${p.per}` : ''}`);
+    return grid.length ? grid.join(' ou ') : (slot.price || '');
+  }
+
+  // "aujourd’hui", "demain", "dans 8 jours"; on the day: "dans 2 heures"
+  function countdown(ev, now){
+    const s = parseWhen(ev.start_time);
+    if (s <= now) return 'en ce moment';
+    const days = Math.round((dayDate(parisDay(ev.start_time)) - dayDate(isoDay(now))) / 864e5);
+    if (days > 0) return RELATIVE.format(days, 'day');
+    const min = Math.ceil((s - now) / 60000);
+    return min < 60 ? RELATIVE.format(min, 'minute') : RELATIVE.format(Math.round(min / 60), 'hour');
+  }
+
+  // The dates before the next session that are off, and whether that session moved
+  function sessionAlert(sessions, next){
+    const longDay = ev => fmtParis(parseWhen(ev.start_time), { weekday:'long', day:'numeric', month:'long' });
+    const off = next ? sessions.slice(0, sessions.indexOf(next)) : sessions.slice(0, 3);
+    const text = [];
+    if (off.length) text.push(`Pas de séance ${off.map(ev => `le ${longDay(ev)} (${OFF_LABELS[ev.status] || 'annulée'})`).join(', ni ')}.`);
+    if (next?.status === 'rescheduled') text.push(`Séance déplacée : ${fmtWhen(next)}.`);
+    else if (next && off.length) text.push(`Reprise le ${longDay(next)}.`);
+    if (!text.length) return null;
+    const p = document.createElement('p');
+    p.className = 'schedule-alert is-' + (off[0]?.status || 'rescheduled');
+    p.setAttribute('role', 'status');
+    p.textContent = '⚠️ ' + text.join(' ');
+    return p;
+  }
+
+  function slotCard(slot, { sessions, next, price, now }){
+    const card = document.createElement('article');
+    card.className = 'card tilt schedule-slot';
+    const h3 = document.createElement('h3'); h3.textContent = slot.title;
+    const line = (label, text) => {
+      const p = document.createElement('p');
+      const b = document.createElement('strong'); b.textContent = `${label} :`;
+      p.append(b, ' ', text);
+      return p;
+    };
+    const place = toPlace(slot.place || '', slot.venue, venueMap);
+    card.append(h3, line('Quand', `${capitalize(DAY_NAMES[slot.day])} ${fmtHour(slot.start)}–${fmtHour(slot.end)}`));
+    if (place.name) card.appendChild(line('Où', placeText(place)));
+    if (slot.level) card.appendChild(line('Niveau', slot.level));
+    if (price) card.appendChild(line('Tarif', price));
+
+    const alert = sessionAlert(sessions, next);
+    if (alert) card.appendChild(alert);
+    const when = line('Prochaine séance', next ? fmtWhen(next) : 'pas encore programmée');
+    when.className = 'schedule-next';
+    if (next){
+      const c = document.createElement('span');
+      c.className = 'schedule-countdown'; c.textContent = countdown(next, now);
+      when.append(' · ', c);
+      const badge = statusBadge(next.status);
+      if (badge) when.append(' ', badge);
+    }
+    card.appendChild(when);
+    return card;
+  }
+
+  function schedule(el, { source = DEFAULT_SOURCE, courses = COURSES_SOURCE } = {}){
+    const slotsReq = fetch(courses, { cache:'no-cache' }).then(r => r.ok ? r.json() : []).catch(() => []);
+    const pricesReq = (window.KizHelloAsso?.ready || Promise.resolve(null)).then(f => f?.prices || []);
+    const done = Promise.all([slotsReq, load(source), pricesReq])
+      .then(([list, rows, prices]) => {
+        const slots = toSlots(list);
+        if (!slots.length) return; // no courses.json: the cards written in the page stay
+        let last = '';
+        const draw = () => {
+          const now = new Date();
+          const states = slots.map(slot => {
+            const sessions = slotSessions(slot, slots, rows).filter(ev => !(endOf(ev) < now));
+            return { sessions, next: sessions.find(ev => !isOff(ev)), price: slotPrice(slot, prices), now };
+          });
+          const cards = slots.map((slot, i) => slotCard(slot, states[i]));
+          // redrawn only when the text changes: the banners are live regions
+          const text = cards.map(c => c.textContent).join('|');
+          if (text !== last){ last = text; el.replaceChildren(...cards); }
+        };
+        draw();
+        setInterval(draw, SCHEDULE_REFRESH);
+      })
+      .catch(err => console.error('Schedule load error:', err));
+    return { ready: done };
+  }
+
+  /* ================= LAYOUT: LIST ================= */
+  function listLayout(root, cfg){
+    root.classList.add('cards', 'ev-list');
+    root.setAttribute('role', 'list');
+    return {
+      render(rows){
+        root.replaceChildren();
+        rows.forEach(ev=>{
+          const card=document.createElement('div');
+          card.className='card ev-row';
+          card.setAttribute('role', 'listitem');
+          card.classList.toggle('is-cancelled', isOff(ev));
+
+          const pic=coverPicture(ev, '120px', 'ev-row-img');
+
+          const meta=document.createElement('div');
+          const h3=document.createElement('h3'); h3.textContent=ev.name||'Événement';
+          const p1=document.createElement('p'); p1.className='ev-row-when'; p1.textContent=fmtWhen(ev);
+          const p2=document.createElement('p'); p2.className='ev-row-where'; fillWhere(p2, ev);
+
+          const chips=document.createElement('div'); chips.className='ev-tags';
+          chips.append(...tagChips(ev));
+
+          const row=document.createElement('div'); row.className='ev-row-actions';
+          row.appendChild(linkBtn(detailHref(ev), 'Détails', 'btn alt'));
+          if(ev.ticket_url) row.appendChild(ticketLink(ev, 'Billets'));
+          const cp=carpoolLink(ev);
+          if(cp) row.appendChild(cp);
+          const pl=playlistLink(ev);
+          if(pl) row.appendChild(pl);
+          if(!isOff(ev)) row.appendChild(calMenu(ev));
+
+          const b=statusBadge(ev.status);
+          if (b) meta.append(b);
+          if (ev.isSeries){
+            p1.textContent = ev.recurrence || fmtWhen(ev);
+            meta.append(h3,p1,p2,seriesDates(ev),chips,descBlock(ev),row);
+          } else {
+            meta.append(h3,p1,p2,chips,descBlock(ev),row);
+          }
+          card.append(pic,meta);
+          root.appendChild(card);
+        });
+        if (!rows.length) root.appendChild(emptyCard(cfg.empty));
+      }
+    };
+  }
+
+  /* ================= LAYOUT: COMPACT ================= */
+  // Date + name + place, one line each: for embeds on secondary pages
+  function compactLayout(root, cfg){
+    const ul = document.createElement('ul');
+    ul.className = 'ev-compact';
+    root.replaceChildren(ul);
+    return {
+      render(rows){
+        ul.replaceChildren();
+        rows.forEach(ev=>{
+          const li = document.createElement('li');
+          li.className = 'ev-compact-item';
+          li.classList.toggle('is-cancelled', isOff(ev));
+          const a = document.createElement('a');
+          a.href = detailHref(ev);
+          const when = document.createElement('span'); when.className = 'ev-compact-when'; when.textContent = fmtWhen(ev);
+          const name = document.createElement('span'); name.className = 'ev-compact-name'; name.textContent = ev.name;
+          const where = document.createElement('span'); where.className = 'ev-compact-where'; where.textContent = ev.place?.name || '';
+          a.append(when, name, where);
+          li.appendChild(a);
+          const b = statusBadge(ev.status);
+          if (b) li.appendChild(b);
+          ul.appendChild(li);
+        });
+        if (!rows.length){
+          const li = document.createElement('li');
+          li.className = 'ev-compact-empty'; li.textContent = cfg.empty;
+          ul.appendChild(li);
+        }
+      }
+    };
+  }
+
+  /* ================= LAYOUT: CAROUSEL ================= */
+  const CAROUSEL_SIZES = '(max-width: 760px) 100vw, 720px';
+  function carouselLayout(root, cfg){
+    root.classList.add('events-carousel');
+    root.innerHTML = `
+      <button type="button" class="ev-arrow is-prev" aria-label="Événement précédent">‹</button>
+      <div class="ev-card">
+        <a class="ev-link" href="#">
+          <picture><img class="ev-img" src="" alt="Affiche de l’événement" loading="lazy" /></picture>
+          <span class="ev-badge" hidden></span>
+          <h3 class="ev-title"></h3>
+          <p class="ev-when"></p>
+          <p class="ev-where"></p>
+          <div class="ev-tags"></div>
+        </a>
+        <div class="ev-desc" hidden></div>
+        <div class="ev-cta"></div>
+      </div>
+      <button type="button" class="ev-arrow is-next" aria-label="Événement suivant">›</button>`;
+    const dots = document.createElement('div');
+    dots.className = 'ev-dots';
+    root.appendChild(dots);
+
+    const $ = sel => root.querySelector(sel);
+    const card = $('.ev-card'), link = $('.ev-link'), img = $('.ev-img'), badge = $('.ev-badge');
+    const title = $('.ev-title'), when = $('.ev-when'), where = $('.ev-where');
+    const tags = $('.ev-tags'), desc = $('.ev-desc'), cta = $('.ev-cta');
+
+    let data = [];
+
+    function show(idx){
+      const ev = data[idx];
+
+      img.style.opacity = '0';
+      img.style.transform = 'scale(1.015)';
+      // preload the size the browser will pick, then swap
+      const tmp = new Image();
+      const reveal = () => requestAnimationFrame(()=>{ img.style.opacity='1'; img.style.transform='scale(1)'; });
+      tmp.onload = () => { setCover(img, ev, CAROUSEL_SIZES); reveal(); };
+      tmp.onerror = () => { setCover(img, { cover: FALLBACK_COVER }, CAROUSEL_SIZES); reveal(); };
+      if (hasVariants(ev)){ tmp.sizes = CAROUSEL_SIZES; tmp.srcset = coverSrcset(ev, 'jpg'); }
+      tmp.src = ev.cover || FALLBACK_COVER;
+
+      img.alt  = `Affiche : ${ev.name || 'Événement'}`;
+      title.textContent = ev.name || 'Événement';
+      badge.hidden = !STATUS_LABELS[ev.status];
+      badge.className = 'ev-badge is-' + ev.status;
+      badge.textContent = STATUS_LABELS[ev.status] || '';
+      card.classList.toggle('is-cancelled', isOff(ev));
+      when.textContent  = ev.isSeries && ev.recurrence ? `${ev.recurrence} · prochain : ${fmtWhen(ev)}` : fmtWhen(ev);
+      where.textContent = ev.place?.name || '—';
+      tags.replaceChildren(...tagChips(ev));
+      descBlock(ev, desc);
+      link.href         = detailHref(ev);
+      link.setAttribute('aria-label', `${ev.name} — voir la fiche`);
+
+      cta.replaceChildren();
+      if (ev.ticket_url) cta.appendChild(ticketLink(ev, 'Billetterie'));
+      // the place sits inside the card link: its route is a button here
+      if (ev.place?.id) cta.appendChild(linkBtn(osmLinks(ev.place).route, '📍 Itinéraire', 'btn alt ev-route-btn'));
+      const cp = carpoolLink(ev);
+      if (cp) cta.appendChild(cp);
+      const pl = playlistLink(ev);
+      if (pl) cta.appendChild(pl);
+      if (!isOff(ev)) cta.appendChild(calMenu(ev));
+    }
+
+    // arrows, dots, ←/→ while focused, swipe and autoplay: carousel.js
+    const slides = KizCarousel.create(root, {
+      label: 'Événements à la une',
+      prev: $('.ev-arrow.is-prev'), next: $('.ev-arrow.is-next'),
+      stage: card, dots, tilt: true,
+      autoplay: cfg.autoplay || 0,
+      slideLabel: i => `${data[i].name} — ${fmtWhen(data[i])}`,
+      show
+    });
+
+    return {
+      render(rows){
+        // featured rows first; the sort is stable so dates stay in order
+        data = [...rows].sort((a,b)=> b.featured - a.featured);
+        card.hidden = !data.length;
+        dots.hidden = data.length < 2;
+        slides.setCount(data.length);
+      }
+    };
+  }
+
+  /* ================= LAYOUT: POSTERS ================= */
+  // Past events as a poster wall, most recent first (archives)
+  function postersLayout(root, cfg){
+    root.classList.add('ev-posters');
+    root.setAttribute('role', 'list');
+    return {
+      render(rows){
+        root.replaceChildren();
+        [...rows].reverse().forEach(ev=>{
+          const item = ev.event_url ? linkBtn(ev.event_url, '', 'ev-poster') : document.createElement('div');
+          item.className = 'ev-poster';
+          item.setAttribute('role', 'listitem');
+
+          const pic = coverPicture(ev, '(max-width: 600px) 45vw, 200px');
+          const name = document.createElement('strong'); name.className = 'ev-poster-name'; name.textContent = ev.name;
+          const when = document.createElement('span'); when.className = 'ev-poster-when';
+          when.textContent = ev.isSeries && ev.recurrence ? ev.recurrence : fmtParis(parseWhen(ev.start_time), { day:'numeric', month:'long', year:'numeric' });
+          const where = document.createElement('span'); where.className = 'ev-poster-where'; where.textContent = venueOf(ev);
+          item.append(pic, name, when, where);
+          root.appendChild(item);
+        });
+        if (!rows.length) root.appendChild(emptyCard(cfg.empty));
+      }
+    };
+  }
+
+  /* ================= LAYOUT: AGENDA ================= */
+  // Month grid / week list with filters. The state lives in the URL query so a view can be shared:
+  // ?agenda=mois|semaine&date=2026-11-01&cat=course&style=kizomba&lieu=le-hangar&q=dj&quand=weekend|mois
+  const AGENDA_KEYS = ['agenda', 'date', 'cat', 'style', 'lieu', 'q', 'quand'];
+  const WEEKDAYS = ['lun.', 'mar.', 'mer.', 'jeu.', 'ven.', 'sam.', 'dim.'];
+
+  // Calendar days are handled as Paris "YYYY-MM-DD" strings
+  const isoDay = d => d.toLocaleDateString('en-CA', { timeZone:'Europe/Paris' });
+  const dayDate = iso => new Date(iso + 'T12:00:00Z');
+  function addDays(iso, n){ const d = dayDate(iso); d.setUTCDate(d.getUTCDate() + n); return d.toISOString().slice(0,10); }
+  function addMonths(iso, n){ const d = dayDate(iso.slice(0,8) + '01'); d.setUTCMonth(d.getUTCMonth() + n); return d.toISOString().slice(0,10); }
+  const weekday = iso => (dayDate(iso).getUTCDay() + 6) % 7; // 0 = lundi
+  const isIsoDay = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+  const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+  // Every day an event covers (a soirée ending in the small hours stays on its first day)
+  function daysOf(ev){
+    const s = parseWhen(ev.start_time), e = parseWhen(ev.end_time);
+    if (!s) return [];
+    const first = ev.all_day ? ev.start_time : isoDay(s);
+    let last = first;
+    if (ev.all_day && isIsoDay(ev.end_time)) last = ev.end_time;
+    else if (e && e - s >= 12*3600*1000) last = isoDay(new Date(e - 1));
+    const out = [];
+    for (let d = first; d <= last && out.length < 62; d = addDays(d, 1)) out.push(d);
+    return out;
+  }
+
+  // "Ce week-end": today (if already Fri–Sun) or Friday → Sunday; "Ce mois-ci": today → end of month
+  function quickRange(kind, today){
+    const wd = weekday(today);
+    if (kind === 'weekend') return { from: wd >= 4 ? today : addDays(today, 4 - wd), to: addDays(today, 6 - wd) };
+    if (kind === 'mois') return { from: today, to: addDays(addMonths(today, 1), -1) };
+    return null;
+  }
+
+  const fold = s => (s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'');
+  const venueOf = ev => (ev.place?.name || '').split(',')[0].trim();
+
+  function agendaLayout(root, cfg){
+    const today = isoDay(new Date());
+    const st = { agenda:'mois', date:today, cat:'', style:'', lieu:'', q:'', quand:'' };
+    const params = new URLSearchParams(location.search);
+    AGENDA_KEYS.forEach(k => { if (params.get(k)) st[k] = params.get(k); });
+    if (st.agenda !== 'semaine') st.agenda = 'mois';
+    if (!isIsoDay(st.date)) st.date = today;
+    let active = cfg.urlState !== false;
+    let rows = [];
+
+    root.classList.add('ev-agenda');
+    root.innerHTML = `
+      <div class="ev-agenda-bar">
+        <div class="ev-agenda-group" role="group" aria-label="Affichage">
+          <button type="button" class="ev-chip" data-view="mois">Mois</button>
+          <button type="button" class="ev-chip" data-view="semaine">Semaine</button>
+        </div>
+        <div class="ev-agenda-group" role="group" aria-label="Raccourcis">
+          <button type="button" class="ev-chip" data-quand="weekend">Ce week-end</button>
+          <button type="button" class="ev-chip" data-quand="mois">Ce mois-ci</button>
+        </div>
+      </div>
+      <div class="ev-agenda-filters">
+        <label>Catégorie
+          <select name="cat">
+            <option value="">Tout</option>
+            <option value="event">Soirées & stages</option>
+            <option value="course">Cours</option>
+          </select>
+        </label>
+        <label>Style <select name="style"><option value="">Tous</option></select></label>
+        <label>Lieu <select name="lieu"><option value="">Tous</option></select></label>
+        <label class="ev-agenda-search">Recherche <input type="search" name="q" placeholder="Nom, lieu, DJ…" autocomplete="off"></label>
+      </div>
+      <div class="ev-agenda-nav">
+        <button type="button" class="ev-arrow-btn is-prev" aria-label="Période précédente">‹</button>
+        <h3 class="ev-agenda-title" aria-live="polite"></h3>
+        <button type="button" class="ev-arrow-btn is-next" aria-label="Période suivante">›</button>
+      </div>
+      <div class="ev-agenda-body"></div>
+      <p class="ev-agenda-count" role="status"></p>`;
+
+    const $ = sel => root.querySelector(sel);
+    const body = $('.ev-agenda-body'), titleEl = $('.ev-agenda-title'), count = $('.ev-agenda-count');
+    const fields = { cat:$('[name="cat"]'), style:$('[name="style"]'), lieu:$('[name="lieu"]'), q:$('[name="q"]') };
+
+    function writeUrl(){
+      if (!active) return;
+      const p = new URLSearchParams(location.search);
+      AGENDA_KEYS.forEach(k => p.delete(k));
+      p.set('agenda', st.agenda);
+      if (st.date !== today) p.set('date', st.date);
+      ['cat','style','lieu','q','quand'].forEach(k => { if (st[k]) p.set(k, st[k]); });
+      history.replaceState(history.state, '', location.pathname + '?' + p + location.hash);
+    }
+    function clearUrl(){
+      const p = new URLSearchParams(location.search);
+      AGENDA_KEYS.forEach(k => p.delete(k));
+      const qs = p.toString();
+      history.replaceState(history.state, '', location.pathname + (qs ? '?' + qs : '') + location.hash);
+    }
+
+    function options(select, values, current){
+      const keep = select.options[0];
+      select.replaceChildren(keep);
+      values.forEach(([value, label]) => select.add(new Option(label, value, false, value === current)));
+    }
+
+    function matches(ev, range){
+      if (st.cat && ev.category !== st.cat) return false;
+      if (st.style && !ev.styles.includes(st.style)) return false;
+      if (st.lieu && slugify(venueOf(ev)) !== st.lieu) return false;
+      if (st.q){
+        // search only: tags stripped from the description, nothing here is rendered
+        const hay = fold([ev.name, ev.place?.name, ev.styles.join(' '), ev.description.replace(/<[^>]*>/g, ' ')].join(' '));
+        if (!fold(st.q).split(/\s+/).filter(Boolean).every(w => hay.includes(w))) return false;
+      }
+      if (range && !daysOf(ev).some(d => d >= range.from && d <= range.to)) return false;
+      return true;
+    }
+
+    function item(ev, cls){
+      const a = document.createElement('a');
+      a.href = detailHref(ev);
+      a.className = cls + ' is-' + ev.category;
+      a.classList.toggle('is-cancelled', isOff(ev));
+      const time = document.createElement('span');
+      time.className = 'ev-agenda-time';
+      time.textContent = ev.all_day ? 'Journée' : fmtParis(parseWhen(ev.start_time), { hour:'2-digit', minute:'2-digit' });
+      const name = document.createElement('span');
+      name.className = 'ev-agenda-name'; name.textContent = ev.name;
+      a.append(time, ' ', name);
+      a.title = `${ev.name} — ${fmtWhen(ev)}`;
+      return a;
+    }
+
+    function byDay(list){
+      const map = new Map();
+      list.forEach(ev => daysOf(ev).forEach(d => { if (!map.has(d)) map.set(d, []); map.get(d).push(ev); }));
+      return map;
+    }
+
+    function renderMonth(map, range){
+      const first = st.date.slice(0,8) + '01';
+      const start = addDays(first, -weekday(first));
+      const end = addDays(addMonths(first, 1), -1);
+      titleEl.textContent = capitalize(fmtParis(dayDate(first), { month:'long', year:'numeric' }));
+
+      const table = document.createElement('table');
+      table.className = 'ev-month';
+      const head = table.createTHead().insertRow();
+      WEEKDAYS.forEach(w => { const th = document.createElement('th'); th.scope = 'col'; th.textContent = w; head.appendChild(th); });
+      const tbody = table.createTBody();
+      let tr = null;
+      for (let d = start; d <= end || weekday(d) !== 0; d = addDays(d, 1)){
+        if (weekday(d) === 0) tr = tbody.insertRow();
+        const td = tr.insertCell();
+        td.classList.toggle('is-out', d.slice(0,7) !== first.slice(0,7));
+        td.classList.toggle('is-today', d === today);
+        td.classList.toggle('is-range', !!range && d >= range.from && d <= range.to);
+        const num = document.createElement('span');
+        num.className = 'ev-day-num'; num.textContent = Number(d.slice(8));
+        td.appendChild(num);
+        (map.get(d) || []).forEach(ev => td.appendChild(item(ev, 'ev-month-item')));
+      }
+      body.replaceChildren(table);
+    }
+
+    function renderWeek(map){
+      const start = addDays(st.date, -weekday(st.date));
+      titleEl.textContent = `Semaine du ${fmtParis(dayDate(start), { weekday:'short', day:'2-digit', month:'short' })}`;
+      const ol = document.createElement('ol');
+      ol.className = 'ev-week';
+      for (let i = 0; i < 7; i++){
+        const d = addDays(start, i);
+        const li = document.createElement('li');
+        li.classList.toggle('is-today', d === today);
+        const h = document.createElement('h4');
+        h.textContent = capitalize(fmtParis(dayDate(d), { weekday:'long', day:'numeric', month:'long' }));
+        li.appendChild(h);
+        const evs = map.get(d) || [];
+        evs.forEach(ev => {
+          const a = item(ev, 'ev-week-item');
+          const where = document.createElement('span');
+          where.className = 'ev-agenda-where'; where.textContent = ev.place?.name || '';
+          a.appendChild(where);
+          li.appendChild(a);
+        });
+        if (!evs.length){
+          const p = document.createElement('p'); p.className = 'ev-week-empty'; p.textContent = '—';
+          li.appendChild(p);
+        }
+        ol.appendChild(li);
+      }
+      body.replaceChildren(ol);
+    }
+
+    function draw(){
+      root.querySelectorAll('[data-view]').forEach(b => b.setAttribute('aria-pressed', String(b.dataset.view === st.agenda)));
+      root.querySelectorAll('[data-quand]').forEach(b => b.setAttribute('aria-pressed', String(b.dataset.quand === st.quand)));
+      Object.entries(fields).forEach(([k, f]) => { if (f.value !== st[k]) f.value = st[k]; });
+
+      const range = quickRange(st.quand, today);
+      const shown = rows.filter(ev => matches(ev, range));
+      const map = byDay(shown);
+      if (st.agenda === 'semaine') renderWeek(map); else renderMonth(map, range);
+      count.textContent = shown.length ? `${shown.length} date${shown.length > 1 ? 's' : ''}` : 'Aucune date pour ces filtres.';
+      writeUrl();
+    }
+
+    root.addEventListener('click', e => {
+      const view = e.target.closest('[data-view]');
+      const quand = e.target.closest('[data-quand]');
+      if (view){ st.agenda = view.dataset.view; draw(); }
+      if (quand){
+        st.quand = st.quand === quand.dataset.quand ? '' : quand.dataset.quand;
+        const range = quickRange(st.quand, today);
+        if (range) st.date = range.from;
+        if (st.quand === 'weekend') st.agenda = 'semaine';
+        if (st.quand === 'mois') st.agenda = 'mois';
+        draw();
+      }
+      const step = e.target.closest('.ev-arrow-btn');
+      if (step){
+        const dir = step.classList.contains('is-next') ? 1 : -1;
+        st.date = st.agenda === 'semaine' ? addDays(st.date, 7*dir) : addMonths(st.date, dir);
+        draw();
+      }
+    });
+    Object.entries(fields).forEach(([k, f]) => {
+      f.addEventListener(k === 'q' ? 'input' : 'change', () => { st[k] = f.value.trim(); draw(); });
+    });
+
+    return {
+      render(list){
+        rows = list;
+        const styles = [...new Set(rows.flatMap(ev => ev.styles))].sort();
+        options(fields.style, styles.map(s => [s, STYLE_LABELS[s] || s]), st.style);
+        const venues = new Map();
+        rows.forEach(ev => { const v = venueOf(ev); if (v) venues.set(slugify(v), v); });
+        options(fields.lieu, [...venues].sort((a,b)=> a[1].localeCompare(b[1], 'fr')), st.lieu);
+        draw();
+      },
+      setActive(on){
+        active = on;
+        if (on) writeUrl(); else clearUrl();
+      }
+    };
+  }
+
+  /* ================= MOUNT ================= */
+  const LAYOUTS = { carousel:carouselLayout, list:listLayout, compact:compactLayout, agenda:agendaLayout, posters:postersLayout };
+
+  function mount(el, config = {}){
+    const cfg = {
+      source: DEFAULT_SOURCE, category: '', max: 0, layout: 'list', upcoming: true,
+      empty: 'Aucun élément pour le moment.',
+      ...config
+    };
+    const view = (LAYOUTS[cfg.layout] || listLayout)(el, cfg);
+    // playlists and carpool form first, so the cards can link to them (none if their file is missing)
+    const loaded = Promise.all([load(cfg.source), playlists(), carpoolConfig()]).then(([rows]) => rows);
+    const draw = () => loaded.then(rows => view.render(select(rows, cfg)));
+    const done = draw().catch(err => console.error('CSV load error:', err));
+    return {
+      ready: done,
+      setCategory(category){ cfg.category = category; return draw(); },
+      setActive(on){ view.setActive?.(on); }
+    };
+  }
+
+  // Raw CSV rows rendered without fetching (admin.html live preview)
+  function preview(el, rows, config = {}){
+    const cfg = { layout: 'list', empty: 'Aucun élément pour le moment.', ...config };
+    (LAYOUTS[cfg.layout] || listLayout)(el, cfg).render(rows.map(toEvent).filter(ev => ev.name));
+  }
+
+  function fromDataset(el){
+    const d = el.dataset;
+    const cfg = {};
+    if (d.source) cfg.source = d.source;
+    if (d.category) cfg.category = d.category;
+    if (d.max) cfg.max = Number(d.max) || 0;
+    if (d.layout) cfg.layout = d.layout;
+    if (d.upcoming) cfg.upcoming = d.upcoming !== 'false';
+    if (d.empty) cfg.empty = d.empty;
+    if (d.series) cfg.series = d.series !== 'false';
+    if (d.autoplay) cfg.autoplay = Number(d.autoplay) || 0;
+    return cfg;
+  }
+
+  /* ================= ARCHIVES ================= */
+  const ARCHIVE_INDEX = 'archives/index.json';
+  // [{ season, file, events }], newest first; revalidated like events.json (sw.js keeps a copy offline)
+  const seasonReqs = new Map();
+  function seasons(index = ARCHIVE_INDEX){
+    if (!seasonReqs.has(index)) seasonReqs.set(index, fetch(index, { cache:'no-cache' }).then(r => r.ok ? r.json() : []));
+    return seasonReqs.get(index);
+  }
+
+  // One chip per season listed in archives/index.json, the chosen season as a poster wall
+  function archives(el, { index = ARCHIVE_INDEX } = {}){
+    el.classList.add('ev-archives');
+    const chips = document.createElement('div');
+    chips.className = 'ev-archive-seasons';
+    chips.setAttribute('role', 'group'); chips.setAttribute('aria-label', 'Saisons');
+    const wall = document.createElement('div');
+    el.replaceChildren(chips, wall);
+
+    const done = seasons(index)
+      .then(list => {
+        if (!list.length){ wall.appendChild(emptyCard('Pas encore d’archives : revenez à la fin de la saison !')); return; }
+        const show = season => {
+          chips.querySelectorAll('.ev-chip').forEach(b => b.setAttribute('aria-pressed', String(b.dataset.season === season.season)));
+          return mount(wall, { layout:'posters', source:season.file, upcoming:false, series:true, empty:'Aucun événement archivé pour cette saison.' }).ready;
+        };
+        list.forEach(season => {
+          const b = document.createElement('button');
+          b.type = 'button'; b.className = 'ev-chip'; b.dataset.season = season.season;
+          b.textContent = `Saison ${season.season.replace('-', '–')}`;
+          b.addEventListener('click', () => show(season));
+          chips.appendChild(b);
+        });
+        return show(list[0]);
+      })
+      .catch(err => console.error('Archives load error:', err));
+    return { ready: done };
+  }
+
+  /* ================= DETAIL VIEW ================= */
+  // #evenement/<slug(id)>, opened by links and by the hash on load, on pages carrying
+  // the #evdOverlay markup. Back/forward go through hashchange, so history drives open/close.
+  function initDetail(source){
+    const overlay = document.getElementById('evdOverlay');
+    if (!overlay) return;
+    const evd = {
+      overlay,
+      dialog:  document.getElementById('evdDialog'),
+      close:   document.getElementById('evdClose'),
+      title:   document.getElementById('evdTitle'),
+      img:     document.getElementById('evdImg'),
+      badge:   document.getElementById('evdBadge'),
+      when:    document.getElementById('evdWhen'),
+      where:   document.getElementById('evdWhere'),
+      tags:    document.getElementById('evdTags'),
+      desc:    document.getElementById('evdDesc'),
+      actions: document.getElementById('evdActions'),
+      msg:     document.getElementById('evdShareMsg'),
+      venue:   document.getElementById('evdVenue')
+    };
+    const pageTitle = document.title;
+    let rows = [];
+    let fromPage = false; // true when the entry below this one is the page itself
+    let lastFocus = null;
+
+    const isOpen = () => document.documentElement.classList.contains('evd-open');
+    function slugFromHash(){
+      if (!location.hash.startsWith(DETAIL_PREFIX)) return '';
+      try { return decodeURIComponent(location.hash.slice(DETAIL_PREFIX.length)); } catch(_) { return ''; }
+    }
+
+    // Address, access and parking of a registered venue; its map only on request (no OSM request before)
+    function venueBlock(ev, box){
+      const p = ev.place;
+      box.replaceChildren();
+      box.hidden = !p?.id;
+      if (!p?.id) return;
+      const line = (label, text) => {
+        if (!text) return;
+        const el = document.createElement('p');
+        const b = document.createElement('strong'); b.textContent = `${label} : `;
+        el.append(b, text);
+        box.appendChild(el);
+      };
+      line('Adresse', p.address);
+      line('Accès', p.access);
+      line('Stationnement', p.parking);
+
+      const links = osmLinks(p);
+      const row = document.createElement('p');
+      row.className = 'evd-venue-links';
+      row.appendChild(linkBtn(links.map, 'Voir sur OpenStreetMap', 'ev-route'));
+      if (links.embed){
+        const btn = document.createElement('button');
+        btn.type = 'button'; btn.className = 'btn alt evd-map-btn'; btn.textContent = '🗺️ Afficher la carte';
+        btn.addEventListener('click', () => {
+          const frame = document.createElement('iframe');
+          frame.className = 'evd-map'; frame.title = `Plan : ${p.name}`; frame.src = links.embed;
+          btn.replaceWith(frame);
+          frame.focus();
+        }, { once:true });
+        row.append(' ', btn);
+      }
+      box.appendChild(row);
+    }
+
+    async function share(ev){
+      const url = location.origin + location.pathname + detailHash(ev);
+      if (navigator.share){
+        try { await navigator.share({ title: ev.name, text: `${ev.name} — ${fmtWhen(ev)}`, url }); }
+        catch(_){ /* cancelled */ }
+        return;
+      }
+      try {
+        await navigator.clipboard.writeText(url);
+        evd.msg.textContent = 'Lien copié !';
+      } catch(_) {
+        window.prompt('Copiez le lien de l’événement :', url);
+      }
+    }
+
+    function open(ev){
+      evd.title.textContent = ev.name;
+      evd.img.hidden = false;
+      setCover(evd.img, ev, '(max-width: 790px) 96vw, 760px');
+      evd.img.alt = `Affiche : ${ev.name}`;
+      evd.badge.hidden = !STATUS_LABELS[ev.status];
+      evd.badge.className = 'ev-badge is-' + ev.status;
+      evd.badge.textContent = STATUS_LABELS[ev.status] || '';
+      evd.when.textContent = fmtWhen(ev);
+      fillWhere(evd.where, ev);
+      if (evd.venue) venueBlock(ev, evd.venue);
+      evd.tags.replaceChildren(...tagChips(ev));
+      descBlock(ev, evd.desc, false);
+      evd.msg.textContent = '';
+
+      evd.actions.replaceChildren();
+      if (ev.ticket_url) evd.actions.appendChild(ticketLink(ev, 'Billetterie'));
+      if (ev.event_url) evd.actions.appendChild(linkBtn(ev.event_url, 'Page de l’événement', 'btn alt'));
+      const cp = carpoolLink(ev);
+      if (cp) evd.actions.appendChild(cp);
+      const pl = playlistLink(ev);
+      if (pl) evd.actions.appendChild(pl);
+      if (!isOff(ev)) evd.actions.appendChild(calMenu(ev));
+      const btn = document.createElement('button');
+      btn.type = 'button'; btn.className = 'btn alt';
+      btn.textContent = navigator.share ? 'Partager' : 'Copier le lien';
+      btn.addEventListener('click', ()=> share(ev));
+      evd.actions.appendChild(btn);
+
+      document.title = `${ev.name} — KizBourges`;
+      reveal();
+    }
+
+    // A link to an event found neither in events.json nor in the archives (removed, or a typo)
+    function missing(){
+      evd.title.textContent = 'Événement introuvable';
+      evd.img.hidden = true;
+      evd.badge.hidden = true;
+      evd.when.textContent = 'Cet événement n’est plus au programme : il est passé, a été retiré ou le lien est incomplet.';
+      evd.where.textContent = '';
+      if (evd.venue) evd.venue.hidden = true;
+      evd.tags.replaceChildren();
+      evd.desc.hidden = true;
+      evd.msg.textContent = '';
+      const btn = document.createElement('button');
+      btn.type = 'button'; btn.className = 'btn';
+      btn.textContent = 'Voir les prochains événements';
+      btn.addEventListener('click', close);
+      evd.actions.replaceChildren(btn);
+      document.title = 'Événement introuvable — KizBourges';
+      reveal();
+    }
+
+    function reveal(){
+      if (!isOpen()){
+        lastFocus = document.activeElement;
+        document.documentElement.classList.add('evd-open');
+        document.body.classList.add('evd-open');
+        evd.overlay.setAttribute('aria-hidden','false');
+        evd.dialog.setAttribute('aria-hidden','false');
+        document.addEventListener('keydown', onKeydown);
+      }
+      evd.close.focus();
+    }
+
+    function hide(){
+      if (!isOpen()) return;
+      document.documentElement.classList.remove('evd-open');
+      document.body.classList.remove('evd-open');
+      evd.overlay.setAttribute('aria-hidden','true');
+      evd.dialog.setAttribute('aria-hidden','true');
+      document.removeEventListener('keydown', onKeydown);
+      document.title = pageTitle;
+      if (lastFocus) { try{ lastFocus.focus(); }catch(_){} lastFocus = null; }
+    }
+
+    // Closing = leaving the hash: step back when we came from the page, else drop the hash in place
+    function close(){
+      if (fromPage) return history.back();
+      history.replaceState(null, '', location.pathname + location.search);
+      hide();
+    }
+
+    function onKeydown(e){
+      if (document.documentElement.classList.contains('ha-open')) return; // the HelloAsso modal is on top
+      if (e.key === 'Escape'){ e.preventDefault(); close(); }
+      if (e.key !== 'Tab') return;
+      const list = Array.from(evd.dialog.querySelectorAll('a[href], button:not([disabled]), summary'));
+      if (!list.length) return;
+      const first = list[0], last = list[list.length - 1];
+      if (e.shiftKey && document.activeElement === first){ e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last){ e.preventDefault(); first.focus(); }
+    }
+
+    // events.json only has the rows the sync still lists: past events come from the season archives
+    async function findPast(s){
+      for (const season of await seasons().catch(() => [])){
+        const ev = (await load(season.file).catch(() => [])).find(x => slugify(x.id) === s);
+        if (ev) return ev;
+      }
+      return null;
+    }
+
+    async function sync(){
+      await loading;
+      const s = slugFromHash();
+      if (!s) return hide();
+      const ev = rows.find(x => slugify(x.id) === s) || await findPast(s);
+      if (s !== slugFromHash()) return; // the hash moved on meanwhile
+      if (ev) open(ev); else missing();
+    }
+
+    evd.close.addEventListener('click', close);
+    evd.overlay.addEventListener('click', (e)=>{ if (e.target === evd.overlay) close(); });
+    window.addEventListener('hashchange', (e)=>{
+      if (!new URL(e.oldURL).hash.startsWith(DETAIL_PREFIX)) fromPage = true;
+      sync();
+    });
+    const loading = Promise.all([load(source), playlists(), carpoolConfig()]).then(([all]) => { rows = all; }).catch(()=>{});
+    sync();
+  }
+
+  ready.then(()=>{
+    document.querySelectorAll('[data-events]').forEach(el => mount(el, fromDataset(el)));
+    initDetail(DEFAULT_SOURCE);
+  });
+
+  window.KizEvents = { load, select, mount, archives, carpool, schedule, preview, fmtWhen, playlists, playlistFor };
+})();
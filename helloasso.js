@@ -0,0 +1,94 @@
+/* =========================================================
+   KizBourges — helloasso.js
+   The association's HelloAsso forms, from helloasso.json, so a new season
+   is a line of config instead of an edit of every page:
+
+     { "organization": "https://www.helloasso.com/associations/amigos-latino",
+       "donation": "formulaires/1",
+       "seasons": [
+         { "season": "2025-2026", "membership": "adhesions/kiz-bourges-2025-2026", "start": "2025-09-01",
+           "prices": [{ "id": "cours", "amount": 10, "per": "cours" }, { "id": "annee", "amount": 150, "per": "année" }] },
+         { "season": "2026-2027", "membership": "adhesions/kiz-bourges-2026-2027", "start": "2026-09-01",
+           "preregistration": "2026-06-15", "prices": [ … ] }
+       ] }
+
+   - the current season is the last one whose start (Paris date) has passed:
+     the switch happens on its own on that day
+   - from the preregistration date of the next season until its start, the
+     membership links open the next form as a pre-registration
+   - every a.ha-open (membership) and a.ha-donate gets the right href, and the
+     .ha-season notes say when pre-registrations are open
+   - prices: the price grid of that season, the one the membership form sells
+     ("10€ / cours ou 150€ / année" on cours.html, see KizEvents.schedule)
+   - isForm(url) / widget(url): ticket links to a HelloAsso form, opened in the
+     modal of index.html by their /widget URL
+
+     KizHelloAsso.ready.then(f => f && openHA(KizHelloAsso.widget(f.membership), f.title));
+   ========================================================= */
+(function(){
+  const CONFIG_SOURCE = 'helloasso.json';
+  const ZONE = 'Europe/Paris';
+
+  // the form test is shared with the pre-render (events-core.js, loaded before)
+  const isForm = window.KizEventsCore.isHelloAssoForm;
+  const widget = url => (url || '').trim()
+    .replace(/^https?:\/\/(?:www\.)?helloasso\.com/i, 'https://www.helloasso.com')
+    .replace(/[?#].*$/, '').replace(/\/+$/, '').replace(/(\/widget)?$/, '/widget');
+
+  // today as YYYY-MM-DD in Paris, comparable with the dates of the config
+  const today = () => new Intl.DateTimeFormat('en-CA', { timeZone: ZONE, year:'numeric', month:'2-digit', day:'2-digit' }).format(new Date());
+  const fmtDay = d => new Date(d + 'T12:00:00Z').toLocaleDateString('fr-FR', { timeZone: ZONE, day:'numeric', month:'long', year:'numeric' })
+    .replace(/^1 /, '1er ');
+
+  /* ================= SEASONS ================= */
+  function forms(cfg, day = today()){
+    const base = (cfg.organization || '').replace(/\/+$/, '');
+    const url = path => path ? (/^https?:/i.test(path) ? path : `${base}/${path.replace(/^\/+/, '')}`) : '';
+    const seasons = (Array.isArray(cfg.seasons) ? cfg.seasons : [])
+      .filter(s => s && s.season && s.membership && /^\d{4}-\d{2}-\d{2}$/.test(s.start || ''))
+      .sort((a, b) => a.start.localeCompare(b.start));
+    const next = seasons.find(s => s.start > day && s.preregistration && s.preregistration <= day);
+    const season = next || seasons.filter(s => s.start <= day).at(-1) || seasons[0];
+    if (!season) return null;
+    const pre = season === next;
+    return {
+      season: season.season,
+      state: pre ? 'preregistration' : 'open',
+      start: season.start,
+      membership: url(season.membership),
+      donation: url(cfg.donation),
+      prices: (Array.isArray(season.prices) ? season.prices : [])
+        .filter(p => p && p.id && typeof p.amount === 'number' && Number.isFinite(p.amount)),
+      title: `${pre ? 'Pré-inscription' : 'Adhésion'} KizBourges ${season.season}`,
+      note: pre ? `Pré-inscriptions ouvertes pour la saison ${season.season}, qui commence le ${fmtDay(season.start)}.` : ''
+    };
+  }
+
+  /* ================= PAGE ================= */
+  function apply(f){
+    document.documentElement.dataset.haState = f.state;
+    document.querySelectorAll('a.ha-open').forEach(a => {
+      a.href = f.membership;
+      if (f.state === 'preregistration') a.title = f.title; else a.removeAttribute('title');
+    });
+    if (f.donation) document.querySelectorAll('a.ha-donate').forEach(a => { a.href = f.donation; });
+    document.querySelectorAll('.ha-season').forEach(el => {
+      el.textContent = f.note;
+      el.hidden = !f.note;
+    });
+  }
+
+  const domReady = new Promise(res => {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', res, { once:true });
+    else res();
+  });
+
+  // null when the config cannot be read: the links keep the hrefs written in the page
+  const ready = fetch(CONFIG_SOURCE, { cache:'no-cache' })
+    .then(r => r.ok ? r.json() : null)
+    .then(cfg => cfg && forms(cfg))
+    .catch(() => null)
+    .then(f => domReady.then(() => { if (f) apply(f); return f; }));
+
+  window.KizHelloAsso = { ready, forms, isForm, widget };
+})();
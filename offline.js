@@ -0,0 +1,58 @@
+/* =========================================================
+   KizBourges — offline.js
+   Registers the service worker (sw.js) and says when the page shows saved data:
+   "Hors ligne — données du lun. 19 oct. à 18:02", the date the copy was downloaded.
+
+   - the worker posts { type:'offline', date } when it could not refresh the agenda
+   - the browser's offline / online events show and hide the notice too
+   ========================================================= */
+(function(){
+  if (!('serviceWorker' in navigator)) return;
+  const WORKER = '/sw.js';
+  const EVENTS_SOURCE = '/events.json';
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(WORKER).catch(err => console.warn('⚠️ Service worker not registered:', err));
+  });
+
+  /* ================= NOTICE ================= */
+  let note = null;
+  function fmtDate(v){
+    const d = new Date(v);
+    if (!v || isNaN(d)) return '';
+    const day = d.toLocaleDateString('fr-FR', { timeZone:'Europe/Paris', weekday:'short', day:'numeric', month:'short' });
+    const time = d.toLocaleTimeString('fr-FR', { timeZone:'Europe/Paris', hour:'2-digit', minute:'2-digit' });
+    return `${day} à ${time}`;
+  }
+  function show(date){
+    if (!note){
+      note = document.createElement('p');
+      note.className = 'offline-note';
+      note.setAttribute('role', 'status');
+      document.body.appendChild(note);
+    }
+    const when = fmtDate(date);
+    note.textContent = when ? `Hors ligne — données du ${when}` : 'Hors ligne — données enregistrées';
+    note.hidden = false;
+    document.documentElement.classList.add('is-offline');
+  }
+  function hide(){
+    if (note) note.hidden = true;
+    document.documentElement.classList.remove('is-offline');
+  }
+  // Date of the saved agenda, for the browser's own offline event
+  const savedDate = () => caches.match(EVENTS_SOURCE)
+    .then(res => res?.headers.get('date') || '')
+    .catch(() => '');
+
+  navigator.serviceWorker.addEventListener('message', e => {
+    if (e.data?.type === 'offline') show(e.data.date);
+  });
+  window.addEventListener('offline', () => savedDate().then(show));
+  window.addEventListener('online', hide);
+  if (!navigator.onLine){
+    const start = () => savedDate().then(show);
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once:true });
+    else start();
+  }
+})();
@@ -0,0 +1,72 @@
+// scripts/archives.js (ESM, Node 20)
+// Season archives: rows leaving the live CSV are kept instead of deleted.
+// - archives/<YYYY-YYYY>.csv  → one file per season (September → August, like the adhesion)
+// - archives/index.json       → [{ season, file, events }], newest first, read by the homepage
+// Cancelled / holiday-skipped dates and drafts are not history: they are dropped as before.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { existsSync } from "node:fs";
+import { DateTime } from "luxon";
+import Papa from "papaparse";
+import { clean, unlock, isTrueValue } from "./common.js";
+
+const SEASON_START_MONTH = 9; // September
+
+export function seasonOf(row, zone) {
+  const dt = DateTime.fromISO(unlock(row.start_time), { zone });
+  if (!dt.isValid) return null;
+  const first = dt.month >= SEASON_START_MONTH ? dt.year : dt.year - 1;
+  return `${first}-${first + 1}`;
+}
+
+function worthKeeping(row) {
+  return !isTrueValue(row.hidden) && !["cancelled", "skipped"].includes(unlock(row.status));
+}
+
+async function readRows(file) {
+  if (!existsSync(file)) return [];
+  const text = await fs.readFile(file, "utf8");
+  return Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+}
+
+/**
+ * Appends expired rows to their season file (same columns as the live CSV).
+ * A row already archived (same id) is replaced, so reruns never duplicate.
+ * Returns the rows actually archived.
+ */
+export async function archiveRows(rows, { dir, zone, columns }) {
+  const bySeason = new Map();
+  for (const r of rows.filter(worthKeeping)) {
+    const season = seasonOf(r, zone);
+    if (!season) continue;
+    if (!bySeason.has(season)) bySeason.set(season, []);
+    bySeason.get(season).push(r);
+  }
+  if (!bySeason.size) return [];
+
+  await fs.mkdir(dir, { recursive: true });
+  const archived = [];
+  for (const [season, incoming] of bySeason) {
+    const file = path.join(dir, `${season}.csv`);
+    const ids = new Set(incoming.map((r) => clean(r.id)).filter(Boolean));
+    const kept = (await readRows(file)).filter((r) => !ids.has(clean(r.id)));
+    const all = [...kept, ...incoming].sort(
+      (a, b) => DateTime.fromISO(unlock(a.start_time), { zone }) - DateTime.fromISO(unlock(b.start_time), { zone })
+    );
+    await fs.writeFile(file, Papa.unparse(all, { header: true, columns }) + "\n", "utf8");
+    archived.push(...incoming);
+  }
+  await writeIndex(dir);
+  return archived;
+}
+
+async function writeIndex(dir) {
+  const files = (await fs.readdir(dir)).filter((f) => /^\d{4}-\d{4}\.csv$/.test(f)).sort().reverse();
+  const seasons = [];
+  for (const f of files) {
+    const file = path.join(dir, f);
+    seasons.push({ season: f.slice(0, 9), file: file.split(path.sep).join("/"), events: (await readRows(file)).length });
+  }
+  await fs.writeFile(path.join(dir, "index.json"), JSON.stringify(seasons, null, 2) + "\n", "utf8");
+}
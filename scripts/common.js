@@ -0,0 +1,30 @@
+// scripts/common.js (ESM, Node 20)
+// Small helpers shared by the sync script and the generators it drives.
+
+export const clean = (s) => (s ?? "").toString().replace(/\s+/g, " ").trim();
+
+export function slug(s) {
+  return clean(s)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/* ================= LOCK HELPERS ================= */
+export function isLocked(v) {
+  return typeof v === "string" && /^\s*!/.test(v);
+}
+export function unlock(v) {
+  return typeof v === "string" ? v.replace(/^\s*!/, "").trim() : v;
+}
+
+// All-day rows carry plain yyyy-LL-dd dates
+export const isDateOnly = (v) => /^\d{4}-\d{2}-\d{2}$/.test(unlock(v ?? ""));
+
+// true/1/yes/oui, with or without a "!" lock
+export function isTrueValue(v) {
+  const s = clean(unlock(v)).toLowerCase();
+  return s === "true" || s === "1" || s === "yes" || s === "oui";
+}
@@ -0,0 +1,180 @@
+// scripts/covers.js (ESM, Node 20)
+// Event posters in Images/events/:
+// - remote covers (links from the descriptions) are downloaded once under a stable name,
+//   Images/events/<slug(name)>-<hash of the URL>.jpg, and the row points there
+//   (GitHub "blob" pages and Google Drive share links are turned into the file itself)
+// - every local cover gets responsive variants, Images/events/sizes/<stem>-<hash of its path>-<width>.<avif|webp|jpg>
+//   (variantName() in events-core.js, the name the pages ask for), recorded in the CSV:
+//   cover_size "1080x1350" and cover_variants "320|640|960|1080"
+// - Images/events/sizes/sources.json keeps the SHA-1 of the poster each cover's variants were
+//   made from: a poster replaced under the same name gets new ones (file dates mean nothing
+//   after a checkout)
+// - Images/events/index.json lists the image files, for the cover picker of admin.html
+//   (a static site cannot list a directory by itself)
+// Locked covers ("!https://…") are never rewritten: a locked remote cover stays remote.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { existsSync } from "node:fs";
+import sharp from "sharp";
+import { clean, slug, isLocked, unlock } from "./common.js";
+import "../events-core.js";
+
+// the fix-ups the pages apply to the cover column ("/images/x.jpg" → "Images/x.jpg"), and the variant names
+const { normalizeCover, variantName } = globalThis.KizEventsCore;
+
+export const COVERS_DIR = "Images/events";
+const SIZES_DIR = `${COVERS_DIR}/sizes`;
+const SOURCES_PATH = `${SIZES_DIR}/sources.json`;
+const IMAGE_EXT = /\.(jpe?g|png|webp|avif|gif)$/i;
+
+const WIDTHS = [320, 640, 960, 1280];
+const FORMATS = {
+  avif: (img) => img.avif({ quality: 50 }),
+  webp: (img) => img.webp({ quality: 75 }),
+  jpg: (img) => img.jpeg({ quality: 80, mozjpeg: true }),
+};
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 20000;
+
+/* ================= SOURCES ================= */
+// Link as written in the calendar → URL of the image bytes
+function downloadUrl(url) {
+  if (/^https?:\/\/github\.com\/.+\/blob\//i.test(url)) {
+    return url.replace(/^https?:\/\/github\.com\//i, "https://raw.githubusercontent.com/").replace("/blob/", "/");
+  }
+  const drive = url.match(/^https?:\/\/drive\.google\.com\/(?:file\/d\/([\w-]+)|(?:open|uc)\?(?:.*&)?id=([\w-]+))/i);
+  if (drive) return `https://drive.google.com/uc?export=download&id=${drive[1] || drive[2]}`;
+  return url;
+}
+
+async function download(url, name) {
+  const file = `${COVERS_DIR}/${slug(name) || "affiche"}-${createHash("sha1").update(url).digest("hex").slice(0, 8)}.jpg`;
+  if (existsSync(file)) return file;
+
+  const res = await fetch(downloadUrl(url), { redirect: "follow", signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const type = res.headers.get("content-type") || "";
+  if (!type.startsWith("image/")) throw new Error(`not an image (${type || "no content-type"})`);
+  if (Number(res.headers.get("content-length")) > MAX_DOWNLOAD_BYTES) throw new Error("file too large");
+  const bytes = Buffer.from(await res.arrayBuffer());
+  if (bytes.length > MAX_DOWNLOAD_BYTES) throw new Error("file too large");
+
+  // one format for the masters: JPEG, EXIF orientation applied
+  await fs.mkdir(COVERS_DIR, { recursive: true });
+  await sharp(bytes).rotate().jpeg({ quality: 90, mozjpeg: true }).toFile(file);
+  return file;
+}
+
+/* ================= VARIANTS ================= */
+const variantPath = (cover, width, ext) => `${SIZES_DIR}/${variantName(cover, width, ext)}`;
+
+// Widths below the original, plus the original (capped): never upscaled
+function widthsFor(width) {
+  const max = Math.min(width, WIDTHS.at(-1));
+  return [...WIDTHS.filter((w) => w < max), max];
+}
+
+// cover path → SHA-1 of the bytes its variants were made from; {} when the file is missing
+async function readSources() {
+  try {
+    return JSON.parse(await fs.readFile(SOURCES_PATH, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+async function variants(cover, sources) {
+  const bytes = await fs.readFile(cover);
+  const hash = createHash("sha1").update(bytes).digest("hex");
+  // EXIF orientations 5-8 are rotated a quarter turn: the displayed size is swapped
+  const m = await sharp(bytes).metadata();
+  const [width, height] = (m.orientation ?? 1) >= 5 ? [m.height, m.width] : [m.width, m.height];
+  const widths = widthsFor(width);
+  await fs.mkdir(SIZES_DIR, { recursive: true });
+  for (const w of widths) {
+    for (const [ext, encode] of Object.entries(FORMATS)) {
+      const out = variantPath(cover, w, ext);
+      // kept while the poster is the one they were made from
+      if (sources[cover] === hash && existsSync(out)) continue;
+      await encode(sharp(bytes).rotate().resize({ width: w })).toFile(out);
+    }
+  }
+  sources[cover] = hash;
+  return { size: `${width}x${height}`, widths: widths.join("|") };
+}
+
+/* ================= ROWS ================= */
+/**
+ * Imports remote covers and fills cover_size / cover_variants on every row.
+ * A cover that cannot be read keeps its value (the homepage falls back on its own)
+ * and adds a warning; one that is not an http(s) URL or a path is cleared unless locked.
+ */
+export async function processCovers(rows, { warnings = [] } = {}) {
+  const imported = new Map(); // remote URL → local file (or error)
+  const done = new Map(); // local file → { size, widths } (or error)
+  const sources = await readSources();
+  const before = JSON.stringify(sources);
+
+  for (const r of rows) {
+    const value = clean(unlock(r.cover));
+    r.cover_size = "";
+    r.cover_variants = "";
+    if (!value) continue;
+
+    let file = value;
+    if (/^https?:\/\//i.test(value)) {
+      if (isLocked(r.cover)) continue;
+      if (!imported.has(value)) {
+        imported.set(value, await download(value, r.name).catch((err) => err));
+      }
+      const got = imported.get(value);
+      if (got instanceof Error) {
+        warnings.push(`Cover of "${r.name}" not imported (${got.message}): ${value}`);
+        console.warn(`⚠️ ${warnings.at(-1)}`);
+        continue;
+      }
+      file = got;
+      r.cover = file;
+      console.log(`🖼️ ${r.name}: cover imported as ${file}`);
+    } else if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+      // data:, javascript:, ftp:… are cleared (`--validate` reports them as errors); a locked one stays
+      const what = isLocked(r.cover) ? "kept: locked" : "cleared";
+      if (!isLocked(r.cover)) r.cover = "";
+      warnings.push(`Cover of "${r.name}" ${what}: only http(s) URLs or local paths are supported (${value.slice(0, 40)}…)`);
+      console.warn(`⚠️ ${warnings.at(-1)}`);
+      continue;
+    } else {
+      file = normalizeCover(value);
+      if (!isLocked(r.cover)) r.cover = file;
+    }
+
+    if (!done.has(file)) {
+      done.set(file, existsSync(file) ? await variants(file, sources).catch((err) => err) : new Error("file not found"));
+    }
+    const v = done.get(file);
+    if (v instanceof Error) {
+      warnings.push(`Cover of "${r.name}" has no responsive variants (${v.message}): ${file}`);
+      console.warn(`⚠️ ${warnings.at(-1)}`);
+      continue;
+    }
+    r.cover_size = v.size;
+    r.cover_variants = v.widths;
+  }
+
+  if (JSON.stringify(sources) !== before) {
+    const sorted = Object.fromEntries(Object.entries(sources).sort(([a], [b]) => a.localeCompare(b)));
+    await fs.writeFile(SOURCES_PATH, JSON.stringify(sorted, null, 2) + "\n", "utf8");
+  }
+}
+
+/* ================= PICKER INDEX ================= */
+export async function writeCoverIndex(dir = COVERS_DIR) {
+  if (!existsSync(dir)) return;
+  const files = (await fs.readdir(dir)).filter((f) => IMAGE_EXT.test(f)).sort((a, b) => a.localeCompare(b));
+  const file = path.join(dir, "index.json");
+  const json = JSON.stringify(files.map((f) => `${dir}/${f}`), null, 2) + "\n";
+  const prev = existsSync(file) ? await fs.readFile(file, "utf8") : "";
+  if (json !== prev) await fs.writeFile(file, json, "utf8");
+}
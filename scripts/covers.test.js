@@ -0,0 +1,61 @@
+// scripts/covers.test.js (ESM, Node 20)
+// node --test scripts/ — responsive variants follow the poster's bytes, not its file date.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import { processCovers } from "./covers.js";
+
+const COVER = "Images/events/poster.jpg";
+const VARIANT = "Images/events/sizes/";
+const cwd = process.cwd();
+let dir;
+
+const poster = (background) =>
+  sharp({ create: { width: 400, height: 500, channels: 3, background } }).jpeg().toBuffer();
+const variantFiles = async () => (await fs.readdir(VARIANT)).filter((f) => f.startsWith("poster-")).sort();
+const jpegVariant = async () => fs.readFile(VARIANT + (await variantFiles()).find((f) => f.endsWith("-320.jpg")));
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "covers-"));
+  process.chdir(dir);
+  await fs.mkdir("Images/events", { recursive: true });
+});
+after(async () => {
+  process.chdir(cwd);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("variants are made once and recorded", async () => {
+  await fs.writeFile(COVER, await poster("red"));
+  const rows = [{ name: "Soirée", cover: COVER }];
+  await processCovers(rows);
+  assert.equal(rows[0].cover_size, "400x500");
+  assert.equal(rows[0].cover_variants, "320|400");
+  assert.equal((await variantFiles()).length, 6);
+
+  const sources = JSON.parse(await fs.readFile(VARIANT + "sources.json", "utf8"));
+  assert.match(sources[COVER], /^[0-9a-f]{40}$/);
+
+  const { mtimeMs } = await fs.stat(VARIANT + (await variantFiles())[0]);
+  await processCovers([{ name: "Soirée", cover: COVER }]);
+  assert.equal((await fs.stat(VARIANT + (await variantFiles())[0])).mtimeMs, mtimeMs, "unchanged poster re-encoded");
+});
+
+test("a poster replaced under the same name and date gets new variants", async () => {
+  const old = await jpegVariant();
+  const { atime, mtime } = await fs.stat(COVER);
+  await fs.writeFile(COVER, await poster("blue"));
+  await fs.utimes(COVER, atime, mtime); // as after a checkout: the date says nothing
+  // variants written after the poster, as a checkout may order them
+  const later = new Date(mtime.getTime() + 60000);
+  for (const f of await variantFiles()) await fs.utimes(VARIANT + f, later, later);
+
+  await processCovers([{ name: "Soirée", cover: COVER }]);
+  assert.notDeepEqual(await jpegVariant(), old);
+  const { dominant } = await sharp(await jpegVariant()).stats();
+  assert.ok(dominant.b > dominant.r, "variant still shows the old poster");
+});
@@ -0,0 +1,133 @@
+// scripts/csv_rules.js (ESM, no dependencies: Node 20 and the browser)
+// The events CSV contract, shared by the sync and admin.html:
+// - COLUMNS in file order, allowed status / category values
+// - checkRow(): what a row must look like for the sync and the homepage to read it
+// - isWellFormedUrl() / checkLinks(): the only links allowed in URL_FIELDS (and remote covers)
+// - checkDuplicates(): rows repeating an id or a name+start (the homepage would show them twice)
+
+import { clean, slug, unlock } from "./common.js";
+
+export const COLUMNS = [
+  "id",
+  "name",
+  "start_time",
+  "end_time",
+  "all_day",
+  "place",
+  "cover",
+  "event_url",
+  "ticket_url",
+  "pinned",
+  "price",
+  "level",
+  "style",
+  "hidden",
+  "featured",
+  "description",
+  "status",
+  "category",
+  "series",
+  "recurrence",
+  "cover_size",
+  "cover_variants",
+  "venue_id",
+];
+
+export const STATUSES = ["confirmed", "cancelled", "rescheduled", "skipped"];
+export const CATEGORIES = ["event", "course"];
+export const FLAGS = ["all_day", "pinned", "hidden", "featured"];
+export const URL_FIELDS = ["event_url", "ticket_url"];
+
+const BOOLEAN = /^(true|false|1|0|yes|no|oui|non)$/i;
+// 2026-10-24 (all-day rows) or 2026-10-24T22:00:00+02:00
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+export function isValidDate(v) {
+  const s = unlock(v);
+  return (DATE_ONLY.test(s) || DATE_TIME.test(s)) && !Number.isNaN(Date.parse(s));
+}
+
+// http(s) with a dotted host and no spaces: "javascript:…", "www.x.fr" or "https://localhost" are not
+export function isWellFormedUrl(v) {
+  if (/\s/.test(v)) return false;
+  try {
+    const u = new URL(v);
+    return (u.protocol === "http:" || u.protocol === "https:") && u.hostname.includes(".");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Problems of one CSV row: [{ field, message }], empty when the row is fine.
+ * Values may carry a "!" lock: the rules apply to the unlocked value.
+ */
+export function checkRow(row) {
+  const problems = [];
+  const add = (field, message) => problems.push({ field, message });
+  const val = (k) => clean(unlock(row[k] ?? ""));
+
+  if (!val("name")) add("name", "name is required");
+
+  const start = val("start_time");
+  const end = val("end_time");
+  if (!start) add("start_time", "start_time is required");
+  else if (!isValidDate(start)) add("start_time", `start_time "${start}" is not yyyy-LL-dd or an ISO date-time with offset`);
+  if (end && !isValidDate(end)) add("end_time", `end_time "${end}" is not yyyy-LL-dd or an ISO date-time with offset`);
+  if (isValidDate(start) && isValidDate(end)) {
+    if (DATE_ONLY.test(start) !== DATE_ONLY.test(end)) add("end_time", "start_time and end_time mix a date and a date-time");
+    else if (Date.parse(end) < Date.parse(start)) add("end_time", "end_time is before start_time");
+  }
+  if (val("all_day") && /^(true|1|yes|oui)$/i.test(val("all_day")) !== DATE_ONLY.test(start) && isValidDate(start)) {
+    add("all_day", "all_day does not match the start_time format");
+  }
+
+  for (const k of FLAGS) {
+    if (val(k) && !BOOLEAN.test(val(k))) add(k, `${k} "${val(k)}" is not true/false`);
+  }
+  if (val("status") && !STATUSES.includes(val("status"))) {
+    add("status", `unknown status "${val("status")}" (${STATUSES.join(", ")})`);
+  }
+  if (val("category") && !CATEGORIES.includes(val("category"))) {
+    add("category", `unknown category "${val("category")}" (${CATEGORIES.join(", ")})`);
+  }
+  return problems;
+}
+
+/** Problems of the event / ticket links of one row: [{ field, message }]. */
+export function checkLinks(row) {
+  const problems = [];
+  for (const field of URL_FIELDS) {
+    const v = unlock(row[field] ?? "");
+    if (v && !isWellFormedUrl(v)) problems.push({ field, message: `"${v}" is not a valid http(s) URL` });
+  }
+  return problems;
+}
+
+// Same name, same start minute: one event listed twice
+export const rowKey = (row) => `${slug(row.name)}__${Math.floor(Date.parse(unlock(row.start_time)) / 60000)}`;
+
+/**
+ * Rows repeating an earlier id or name+start: one [{ field, message }] list per row.
+ * keyOf(row) defaults to rowKey(); the sync passes its own name+minute key.
+ */
+export function checkDuplicates(rows, keyOf = rowKey) {
+  const ids = new Map();
+  const keys = new Map();
+  return rows.map((row, index) => {
+    const problems = [];
+    const id = clean(unlock(row.id ?? ""));
+    if (id) {
+      if (ids.has(id)) problems.push({ field: "id", message: `duplicate id, same as row ${ids.get(id) + 1}` });
+      else ids.set(id, index);
+    }
+    if (clean(row.name) && isValidDate(row.start_time)) {
+      const key = keyOf(row);
+      if (keys.has(key)) {
+        problems.push({ field: "name", message: `same name and start as row ${keys.get(key) + 1}: shown twice on the site` });
+      } else keys.set(key, index);
+    }
+    return problems;
+  });
+}
@@ -0,0 +1,105 @@
+// scripts/description.js (ESM, Node 20)
+// Event descriptions for the CSV "description" column:
+// - tag lines already read by parseDescTags (cover:, prix:, pinned: …) are dropped
+// - Google Calendar HTML is reduced to a safe subset: <p>, <br>, <a href="http(s)|mailto">
+// - everything else becomes escaped text, so the column can never carry markup of its own
+// The homepage sanitizes again when rendering (the CSV can be edited by hand).
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const n = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : "";
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+const escapeHTML = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Google wraps links as https://www.google.com/url?q=<target>&sa=…
+function safeHref(raw) {
+  let url = decodeEntities(raw).trim();
+  const g = url.match(/^https?:\/\/(?:www\.)?google\.[a-z.]+\/url\?(.*)$/i);
+  if (g) url = new URLSearchParams(g[1]).get("q") || url;
+  return /^(https?:\/\/|mailto:)/i.test(url) ? url : "";
+}
+
+const link = (href, text) =>
+  `<a href="${escapeHTML(href)}" target="_blank" rel="noopener">${escapeHTML(text)}</a>`;
+
+// Plain text → escaped text with bare URLs turned into links
+function linkify(text) {
+  let out = "";
+  let last = 0;
+  for (const m of text.matchAll(/https?:\/\/[^\s"<>()]+[^\s"<>().,;:!?]/gi)) {
+    out += escapeHTML(text.slice(last, m.index)) + link(m[0], m[0]);
+    last = m.index + m[0].length;
+  }
+  return out + escapeHTML(text.slice(last));
+}
+
+// One line of Google HTML → safe inline HTML (links only)
+function sanitizeLine(line) {
+  let out = "";
+  let anchor = null; // { href, text } while inside <a>
+  for (const [tok, close, tag, attrs] of line.matchAll(/<(\/)?([a-z][a-z0-9]*)\b([^>]*)>|[^<]+|</gi)) {
+    if (!tag) {
+      const text = decodeEntities(tok);
+      if (anchor) anchor.text += text;
+      else out += linkify(text);
+      continue;
+    }
+    if (tag.toLowerCase() !== "a") continue; // other tags: keep their text only
+    if (!close) {
+      const href = attrs.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+      anchor = { href: safeHref(href ? href[1] ?? href[2] ?? href[3] : ""), text: "" };
+    } else if (anchor) {
+      out += anchor.href ? link(anchor.href, anchor.text.trim() || anchor.href) : escapeHTML(anchor.text);
+      anchor = null;
+    }
+  }
+  if (anchor) out += anchor.href ? link(anchor.href, anchor.text.trim() || anchor.href) : escapeHTML(anchor.text);
+  return out.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Description text/HTML from the calendar → safe HTML for the CSV.
+ * `isTagLine(text)` tells which plain-text lines were consumed as tags.
+ */
+export function toDescription(desc = "", { isTagLine = () => false } = {}) {
+  if (!desc) return "";
+  const lines = desc
+    .replace(/<(script|style)\b[^]*?<\/\1\s*>/gi, "")
+    .replace(/<br\s*\/?>|<\/?(p|div|li|ul|ol|h[1-6])\b[^>]*>/gi, "\n")
+    .split(/\r?\n/);
+
+  const paragraphs = [[]];
+  for (const line of lines) {
+    const plain = decodeEntities(line.replace(/<[^>]*>/g, "")).trim();
+    if (!plain) {
+      if (paragraphs.at(-1).length) paragraphs.push([]);
+      continue;
+    }
+    if (isTagLine(plain)) continue;
+    paragraphs.at(-1).push(sanitizeLine(line));
+  }
+
+  return paragraphs
+    .filter((p) => p.length)
+    .map((p) => `<p>${p.join("<br>")}</p>`)
+    .join("");
+}
+
+// Safe description HTML → plain text (feeds, JSON-LD)
+export function descriptionText(html = "") {
+  return decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/p>\s*<p>/gi, "\n\n")
+      .replace(/<[^>]*>/g, "")
+  ).trim();
+}
@@ -0,0 +1,156 @@
+// scripts/ics_feeds.js (ESM, Node 20)
+// "Ajouter à l'agenda" exports, rewritten from the CSV rows on every sync:
+// - feeds/kizbourges.ics             → every row (subscribable feed)
+// - feeds/kizbourges-<category>.ics  → one feed per category (event / course)
+// - feeds/events/<slug(id)>.ics      → one file per row, for the download button
+// Cancelled (and holiday-skipped) rows stay in the feeds with STATUS:CANCELLED so subscribers see it.
+// Rows matched to a venue (venues.json) get its name + address as LOCATION, and GEO when it has coordinates.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DateTime } from "luxon";
+import { clean, slug, unlock, isDateOnly } from "./common.js";
+import { descriptionText } from "./description.js";
+
+const SITE_URL = "https://kizbourges.fr/";
+const CAL_NAMES = {
+  all: "KizBourges",
+  event: "KizBourges — Événements",
+  course: "KizBourges — Cours",
+};
+
+/* ================= ICS TEXT ================= */
+// TEXT value escaping (RFC 5545 §3.3.11)
+function esc(s) {
+  return (unlock(s) ?? "")
+    .toString()
+    .trim()
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,");
+}
+
+// Content lines are folded at 75 octets (RFC 5545 §3.1)
+function fold(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > 75) {
+      out.push(cur);
+      cur = " ";
+      bytes = 1;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+/* ================= ROW HELPERS ================= */
+export function eventFileName(row) {
+  return `${slug(unlock(row.id) || row.name)}.ics`;
+}
+
+function dateLines(row, zone) {
+  const start = unlock(row.start_time);
+  const end = unlock(row.end_time) || start;
+
+  if (isDateOnly(start)) {
+    // DTEND is exclusive for dates: the CSV stores the last day itself
+    const d = (v, plus = 0) =>
+      DateTime.fromISO(v, { zone }).plus({ days: plus }).toFormat("yyyyLLdd");
+    return [`DTSTART;VALUE=DATE:${d(start)}`, `DTEND;VALUE=DATE:${d(end, 1)}`];
+  }
+
+  const t = (v) =>
+    DateTime.fromISO(v, { zone }).toUTC().toFormat("yyyyLLdd'T'HHmmss'Z'");
+  return [`DTSTART:${t(start)}`, `DTEND:${t(end)}`];
+}
+
+function vevent(row, { zone, stamp, venues }) {
+  const venue = venues.get(unlock(row.venue_id ?? ""));
+  const location = venue ? [venue.name, venue.address].filter(Boolean).join(", ") : unlock(row.place);
+  const about = descriptionText(unlock(row.description));
+  const notes = [
+    about && about + "\n",
+    unlock(row.ticket_url) && `Billets : ${unlock(row.ticket_url)}`,
+    unlock(row.event_url) && `Infos : ${unlock(row.event_url)}`,
+    SITE_URL,
+  ].filter(Boolean);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${slug(unlock(row.id) || row.name)}@kizbourges.fr`,
+    `DTSTAMP:${stamp}`,
+    ...dateLines(row, zone),
+    `SUMMARY:${esc(row.name)}`,
+    location && `LOCATION:${esc(location)}`,
+    Number.isFinite(venue?.lat) && Number.isFinite(venue?.lon) && `GEO:${venue.lat};${venue.lon}`,
+    unlock(row.event_url) && `URL:${clean(unlock(row.event_url))}`,
+    `DESCRIPTION:${esc(notes.join("\n"))}`,
+    `STATUS:${["cancelled", "skipped"].includes(unlock(row.status)) ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+  return lines.filter(Boolean);
+}
+
+export function toICS(rows, { zone, name = CAL_NAMES.all, stamp, venues = new Map() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//KizBourges//Agenda//FR",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${esc(name)}`,
+    `X-WR-TIMEZONE:${zone}`,
+    ...rows.flatMap((r) => vevent(r, { zone, stamp, venues })),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/* ================= WRITE ================= */
+// DTSTAMP changes every run: only rewrite a file when something else changed
+async function writeIfChanged(file, text) {
+  const strip = (s) => s.replace(/^DTSTAMP:.*$/gm, "");
+  const prev = await fs.readFile(file, "utf8").catch(() => null);
+  if (prev !== null && strip(prev) === strip(text)) return false;
+  await fs.writeFile(file, text, "utf8");
+  return true;
+}
+
+export async function writeFeeds(rows, { dir, zone, venues = new Map() }) {
+  const stamp = DateTime.utc().toFormat("yyyyLLdd'T'HHmmss'Z'");
+  const eventsDir = path.join(dir, "events");
+  await fs.mkdir(eventsDir, { recursive: true });
+
+  await writeIfChanged(path.join(dir, "kizbourges.ics"), toICS(rows, { zone, stamp, venues }));
+
+  for (const category of ["event", "course"]) {
+    const subset = rows.filter((r) => unlock(r.category) === category);
+    await writeIfChanged(
+      path.join(dir, `kizbourges-${category}.ics`),
+      toICS(subset, { zone, stamp, venues, name: CAL_NAMES[category] })
+    );
+  }
+
+  // One file per row; drop the files of rows that left the CSV
+  const keep = new Set();
+  for (const r of rows) {
+    const file = eventFileName(r);
+    keep.add(file);
+    await writeIfChanged(
+      path.join(eventsDir, file),
+      toICS([r], { zone, stamp, venues, name: clean(unlock(r.name)) })
+    );
+  }
+  for (const file of await fs.readdir(eventsDir)) {
+    if (file.endsWith(".ics") && !keep.has(file)) await fs.unlink(path.join(eventsDir, file));
+  }
+
+  console.log(`📤 Feeds written to ${dir}/ (${rows.length} events)`);
+}
@@ -2,59 +2,177 @@
 // - Recurrences expanded (weekly courses work)
 // - Locks preserved with "!" (e.g., !cover: Images/events/cid.jpg)
 // - "pinned: true" keeps rows forever (ignores removal delay)
+// - Metadata tags → own columns: prix / niveau / style, hidden: true (drafts), featured: true (carousel first)
 // - Cover merge policy: if CSV already has a cover, DO NOT replace it (unless you clear it or lock it)
-// - Supports EventURL: / TicketURL: in descriptions
+// - Covers imported into Images/events/ with responsive variants (cover_size / cover_variants columns)
+// - Places resolved to a venue_id through the venue registry (venues.json); unknown places are warnings
+// - Supports EventURL: / TicketURL: in descriptions; links other than http(s) are cleared unless locked
+// - description column: the rest of the description as sanitized HTML (<p>, <br>, links)
+// - Rows reconciled on the ICS UID / occurrence id (moved events update in place)
+// - status column: confirmed / cancelled / rescheduled / skipped (STATUS, RECURRENCE-ID, EXDATE, school holidays)
+// - series + recurrence columns: master UID and "Tous les mardis 20h–21h15" for recurring occurrences
+// - end_time + all_day columns (all-day rows use yyyy-LL-dd dates, end day inclusive)
+// - Removal delay counts from the END of the event (multi-day festivals stay listed)
+// - Expired rows move to season archives (archives/2025-2026.csv, September → August)
+// - Several named ICS sources (scripts/ics_sources.json), each with a default category/place/cover
+// - CLI: --ics <file> | --ics <source>=<file> (local input), --now <ISO>, --dry-run, --report <file.md|->
+// - --validate: checks the CSV + archives (dates, covers, URLs, duplicates, locks) without syncing,
+//   exits 1 on errors (scripts/validate.js)
+// - Future calendar rows deleted from the calendar are dropped (not archived); hand-made rows (no id)
+//   and pinned rows stay
+// - Safeguards: refuses empty/unparseable ICS and mass disappearance of future rows (--force overrides);
+//   the CSV is left untouched and sync-status.json records the error
 
 import fs from "node:fs/promises";
+import path from "node:path";
 import { existsSync } from "node:fs";
+import { parseArgs } from "node:util";
 import { DateTime } from "luxon";
 import Papa from "papaparse";
 import IcalExpander from "ical-expander";
+import { clean, slug, isLocked, unlock, isDateOnly, isTrueValue } from "./common.js";
+import { COLUMNS, STATUSES, CATEGORIES, URL_FIELDS, checkRow, isWellFormedUrl } from "./csv_rules.js";
+import { toDescription } from "./description.js";
+import { recurrenceSummary, loadHolidays, holidayOn } from "./series.js";
+import { writeFeeds } from "./ics_feeds.js";
+import { archiveRows } from "./archives.js";
+import { processCovers, writeCoverIndex } from "./covers.js";
+import { loadVenues, applyVenues, venueIndex } from "./venues.js";
+import { validateRows, formatIssues } from "./validate.js";
+import { EVENT_PAGES, writeStructuredData, touchSitemap } from "./structured_data.js";
+import {
+  createReport,
+  lockOverrides,
+  changedFields,
+  lockedFields,
+  summaryLine,
+  toMarkdown,
+} from "./sync_report.js";
+import { recordSuccess, recordFailure } from "./sync_status.js";
 
 /* ================= ENV ================= */
-const ICS_URL = process.env.GCAL_ICS_URL;
-if (!ICS_URL) {
-  console.error("Missing env GCAL_ICS_URL");
-  process.exit(1);
-}
+const SOURCES_PATH = process.env.ICS_SOURCES || "scripts/ics_sources.json";
+const HOLIDAYS_PATH = process.env.SCHOOL_HOLIDAYS || "scripts/school_holidays.json";
+const VENUES_PATH = process.env.VENUES || "venues.json";
 
 const ZONE = process.env.TZ || "Europe/Paris";
 const CSV_PATH = "kizbourges_events_template1.csv";
+const FEEDS_DIR = "feeds";
+const ARCHIVES_DIR = "archives";
 
 const REMOVAL_DELAY_HOURS = Number(process.env.REMOVAL_DELAY_HOURS ?? 24);
 const PAST_DAYS = Number(process.env.PAST_DAYS ?? 7);
 const FUTURE_DAYS = Number(process.env.FUTURE_DAYS ?? 120);
 
-/* ================= HELPERS ================= */
-const clean = (s) => (s ?? "").toString().replace(/\s+/g, " ").trim();
-
-function slug(s) {
-  return clean(s)
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "");
+// Refuse the run when more than this share of the future rows vanish from the calendars at once
+const MAX_VANISH_SHARE = Number(process.env.MAX_VANISH_SHARE ?? 0.5);
+const MIN_VANISH_ROWS = Number(process.env.MIN_VANISH_ROWS ?? 3);
+
+/* ================= CLI ================= */
+const { values: args } = parseArgs({
+  options: {
+    ics: { type: "string", multiple: true },
+    now: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    report: { type: "string" },
+    force: { type: "boolean", default: false },
+    validate: { type: "boolean", default: false },
+  },
+});
+
+/* ================= SOURCES =================
+Each source: { name, url_env, category?, place?, cover?, skip_school_holidays? }
+- url_env names the env var holding the (secret) ICS URL; sources without it set are skipped
+- category/place/cover are defaults for rows of that calendar (desc tags still win)
+- skip_school_holidays: recurring occurrences during the school holidays (HOLIDAYS_PATH) become "skipped"
+Without a sources file, falls back to the single GCAL_ICS_URL.
+--ics replaces the URLs with local files: "<source>=<file>" keeps that source's
+defaults, a bare "<file>" is read as an extra source without defaults.
+Sources not read (env not set, or not named by --ics) are listed in `skipped`:
+rows missing from the download are then kept, as they may come from them.
+*/
+async function loadSources(localFiles = [], warnings = [], skipped = []) {
+  const declared = existsSync(SOURCES_PATH)
+    ? JSON.parse(await fs.readFile(SOURCES_PATH, "utf8"))
+    : [{ name: "default", url_env: "GCAL_ICS_URL" }];
+
+  if (localFiles.length) {
+    const local = localFiles.map((spec) => {
+      const [, name, file] = spec.match(/^([\w-]+)=(.+)$/) ?? [null, null, spec];
+      const s = declared.find((d) => d.name === name);
+      if (name && !s) throw new Error(`--ics ${spec}: unknown source "${name}"`);
+      return { ...(s ?? { name: path.basename(file, ".ics") }), file, named: !!name };
+    });
+    // "<source>=<file>" stands for that source only: the other declared ones were not read
+    if (local.some((s) => s.named)) {
+      skipped.push(...declared.filter((d) => !local.some((s) => s.named && s.name === d.name)).map((d) => d.name));
+    }
+    return local;
+  }
+
+  const sources = [];
+  for (const s of declared) {
+    const url = process.env[s.url_env];
+    if (!url) {
+      skipped.push(s.name);
+      warnings.push(`Source "${s.name}" skipped (env ${s.url_env} not set)`);
+      console.warn(`⚠️ ${warnings.at(-1)}`);
+      continue;
+    }
+    if (s.category && !CATEGORIES.includes(s.category)) {
+      throw new Error(`Source "${s.name}": unknown category "${s.category}"`);
+    }
+    sources.push({ ...s, url });
+  }
+  return sources;
+}
+
+async function readSource(source) {
+  if (source.file) return fs.readFile(source.file, "utf8");
+  const res = await fetch(source.url);
+  if (!res.ok) throw new Error(`ICS fetch failed for "${source.name}" (${res.status})`);
+  return res.text();
 }
 
+/* ================= HELPERS ================= */
 function toISOWithOffset(d) {
   return DateTime.fromJSDate(d, { zone: ZONE }).toISO({
     suppressMilliseconds: true,
   });
 }
 
+// All-day values are calendar dates: never shift them through an instant
+function toRowTime(d, allDay) {
+  return allDay ? DateTime.fromJSDate(d, { zone: ZONE }).toISODate() : toISOWithOffset(d);
+}
+
+function toDateTime(v) {
+  return DateTime.fromISO(unlock(v ?? ""), { zone: ZONE });
+}
+
+function occStamp(d) {
+  return DateTime.fromJSDate(d, { zone: ZONE }).toFormat("yyyyLLdd_HHmm");
+}
+
 function roundToMinuteISO(iso) {
   return DateTime.fromISO(iso, { zone: ZONE })
     .startOf("minute")
     .toISO({ suppressMilliseconds: true });
 }
 
+// Same as roundToMinuteISO but keeps a "!" lock prefix (and leaves all-day dates alone)
+function roundStartTime(v) {
+  if (!clean(v) || isDateOnly(v)) return clean(v);
+  const iso = roundToMinuteISO(unlock(v));
+  return isLocked(v) ? "!" + iso : iso;
+}
+
 /* ================= URL EXTRACTION ================= */
 function extractUrlFromText(text = "") {
   if (!text) return "";
 
-  // HTML anchor <a href="...">
-  const html = text.match(/<a\s+[^>]*href=["']([^"']+)["']/i);
+  // HTML anchor <a href="https://..."> (javascript:, mailto:… links are skipped)
+  const html = text.match(/<a\s+[^>]*href=["'](https?:\/\/[^"']+)["']/i);
   if (html) return clean(html[1]);
 
   // Plain URL
@@ -64,14 +182,6 @@ function extractUrlFromText(text = "") {
   return "";
 }
 
-/* ================= LOCK HELPERS ================= */
-function isLocked(v) {
-  return typeof v === "string" && /^\s*!/.test(v);
-}
-function unlock(v) {
-  return typeof v === "string" ? v.replace(/^\s*!/, "").trim() : v;
-}
-
 /* ================= MERGE POLICIES ================= */
 /**
  * Default policy:
@@ -102,7 +212,12 @@ Supported (case-insensitive):
 - !ticket: ...
 - !event: ...
 - !place: ...
+- !prix: 12€            (price)
+- !niveau: débutant     (level)
+- !style: kizomba|semba (style, also "kizomba, urban")
 - pinned: true/false/1/0/yes/no
+- hidden: true/false    (draft: kept in the CSV, not published)
+- featured: true/false  (first in the homepage carousel)
 
 Also supports:
 - EventURL: ...
@@ -116,7 +231,12 @@ function parseDescTags(desc = "") {
     ticket: /(!)?\s*(ticketurl|ticket_url|ticket|billet|tickets)\s*:\s*([^\n\r]+)/i,
     event: /(!)?\s*(eventurl|event_url|event|link|url)\s*:\s*([^\n\r]+)/i,
     place: /(!)?\s*(place|adresse)\s*:\s*([^\n\r]+)/i,
+    price: /(!)?\s*\b(prix|price|tarif)\s*:\s*([^\n\r]+)/i,
+    level: /(!)?\s*\b(niveau|level)\s*:\s*([^\n\r]+)/i,
+    style: /(!)?\s*\b(style|styles|danse)\s*:\s*([^\n\r]+)/i,
     pinned: /\s*(pinned|pin)\s*:\s*(true|false|1|0|yes|no)\s*$/im,
+    hidden: /\s*(hidden|draft|brouillon)\s*:\s*(true|false|1|0|yes|no|oui|non)\s*$/im,
+    featured: /\s*(featured|vedette)\s*:\s*(true|false|1|0|yes|no|oui|non)\s*$/im,
   };
 
   for (const key of ["cover", "ticket", "event", "place"]) {
@@ -134,12 +254,62 @@ function parseDescTags(desc = "") {
     out[key] = bang ? "!" + val : val;
   }
 
-  const mp = desc.match(patterns.pinned);
-  if (mp) out.pinned = clean(mp[2]).toLowerCase();
+  // Plain-text tags: the value stops at the end of the line (or at Google's next <br>)
+  for (const key of ["price", "level", "style"]) {
+    const m = desc.match(patterns[key]);
+    if (!m) continue;
+    let val = clean(m[3].replace(/<.*$/, ""));
+    if (key === "style") val = normalizeStyles(val);
+    if (val) out[key] = m[1] ? "!" + val : val;
+  }
+
+  for (const key of ["pinned", "hidden", "featured"]) {
+    const m = desc.match(patterns[key]);
+    if (m) out[key] = clean(m[2]).toLowerCase();
+  }
 
   return out;
 }
 
+// Lines parseDescTags reads: left out of the description column
+const TAG_LINE =
+  /^!?\s*(cover|image|poster|ticketurl|ticket_url|ticket|billet|tickets|eventurl|event_url|event|link|url|place|adresse|prix|price|tarif|niveau|level|style|styles|danse|pinned|pin|hidden|draft|brouillon|featured|vedette)\s*:/i;
+const isTagLine = (line) => TAG_LINE.test(line);
+
+// "Kizomba, Semba / urban kiz" → "kizomba|semba|urban-kiz"
+function normalizeStyles(v) {
+  return [...new Set(v.split(/[|,/+]|\bet\b|&/i).map(slug).filter(Boolean))].join("|");
+}
+
+/* ================= STATUS ================= */
+// ICS STATUS → CSV status (TENTATIVE is shown as confirmed on the site)
+function statusFromICS(v) {
+  return clean(v).toUpperCase() === "CANCELLED" ? "cancelled" : "confirmed";
+}
+
+/**
+ * Status merge policy:
+ * - locked ("!cancelled") → keep as-is
+ * - cancelled in the calendar always wins
+ * - then skipped (school holidays), recomputed on every run
+ * - once moved, a row stays "rescheduled" until it is cancelled
+ */
+function mergeStatus(existingVal, incomingVal, moved) {
+  if (isLocked(existingVal)) return clean(existingVal);
+  const ex = clean(existingVal).toLowerCase();
+  const inc = clean(incomingVal).toLowerCase();
+  if (inc === "cancelled") return "cancelled";
+  if (inc === "skipped") return "skipped";
+  if (moved || inc === "rescheduled" || ex === "rescheduled") return "rescheduled";
+  return inc || ex || "confirmed";
+}
+
+/* ================= CATEGORY ================= */
+// Same heuristic as the homepage loader, for sources without a default category
+function guessCategory(name) {
+  return /(^|\b)(cours|course|hebdo|weekly)(\b|$)/i.test(name) ? "course" : "event";
+}
+
 /* ================= FALLBACK EXTRACTORS ================= */
 function extractCoverFromICS(ev) {
   return extractUrlFromText(ev.description || "");
@@ -157,56 +327,83 @@ function parseCSV(text) {
       id: clean(r.id),
       name: clean(r.name),
       start_time: clean(r.start_time),
+      end_time: clean(r.end_time),
+      all_day: clean(r.all_day),
       place: r.place?.trim() || "",
       cover: r.cover?.trim() || "",
       event_url: r.event_url?.trim() || "",
       ticket_url: r.ticket_url?.trim() || "",
       pinned: clean(r.pinned),
+      price: r.price?.trim() || "",
+      level: clean(r.level),
+      style: clean(r.style),
+      hidden: clean(r.hidden),
+      featured: clean(r.featured),
+      description: r.description?.trim() || "",
+      status: clean(r.status),
+      category: clean(r.category),
+      series: clean(r.series),
+      recurrence: clean(r.recurrence),
+      cover_size: clean(r.cover_size),
+      cover_variants: clean(r.cover_variants),
+      venue_id: clean(r.venue_id),
     }))
     .filter((r) => r.name && r.start_time);
 }
 
 function unparseCSV(rows) {
-  return (
-    Papa.unparse(rows, {
-      header: true,
-      columns: [
-        "id",
-        "name",
-        "start_time",
-        "place",
-        "cover",
-        "event_url",
-        "ticket_url",
-        "pinned",
-      ],
-    }) + "\n"
-  );
+  return Papa.unparse(rows, { header: true, columns: COLUMNS }) + "\n";
 }
 
 /* ================= ICS → ROW ================= */
-function toRowFromICS(ev) {
+function toRowFromICS(ev, source = {}) {
   const start = ev.start instanceof Date ? ev.start : new Date(ev.start);
   const tags = parseDescTags(ev.description || "");
 
+  // ICS DTEND is exclusive: all-day rows store the last day itself
+  let end = ev.end instanceof Date ? ev.end : ev.end ? new Date(ev.end) : start;
+  if (ev.allDay && end > start) end = DateTime.fromJSDate(end).minus({ days: 1 }).toJSDate();
+  if (end < start) end = start;
+
   return {
     id: clean(ev.uid || ev.id || ev.summary),
     name: clean(ev.summary),
-    start_time: toISOWithOffset(start),
-    place: tags.place ?? clean(ev.location || ""),
-    cover: tags.cover ?? extractCoverFromICS(ev),
+    start_time: toRowTime(start, ev.allDay),
+    end_time: toRowTime(end, ev.allDay),
+    all_day: ev.allDay ? "true" : "false",
+    place: tags.place ?? (clean(ev.location || "") || clean(source.place)),
+    cover: tags.cover ?? (extractCoverFromICS(ev) || clean(source.cover)),
     event_url: tags.event ?? clean(ev.url || ""),
     ticket_url: tags.ticket ?? extractTicketFromICS(ev),
     pinned: tags.pinned ?? "",
+    price: tags.price ?? "",
+    level: tags.level ?? "",
+    style: tags.style ?? "",
+    hidden: tags.hidden ?? "",
+    featured: tags.featured ?? "",
+    description: toDescription(ev.description || "", { isTagLine }),
+    status: ev.status || "confirmed",
+    category: source.category || guessCategory(ev.summary),
+    series: clean(ev.series || ""),
+    recurrence: ev.recurrence || "",
+    cover_size: "",
+    cover_variants: "",
+    venue_id: "",
   };
 }
 
 /* ================= MERGE ================= */
 function mergeRows(existing, incoming) {
+  const start_time = preferICS(existing.start_time, incoming.start_time);
+  const moved = !!existing.start_time && start_time !== existing.start_time;
+
   return {
-    id: existing.id || incoming.id,
+    // calendar id wins so legacy rows matched by name+time adopt the occurrence id
+    id: incoming.id || existing.id,
     name: preferICS(existing.name, incoming.name),
-    start_time: preferICS(existing.start_time, incoming.start_time),
+    start_time,
+    end_time: preferICS(existing.end_time, incoming.end_time),
+    all_day: preferICS(existing.all_day, incoming.all_day),
     place: preferICS(existing.place, incoming.place),
 
     // ✅ main change: don't replace an existing cover already in the CSV
@@ -215,108 +412,396 @@ function mergeRows(existing, incoming) {
     event_url: preferICS(existing.event_url, incoming.event_url),
     ticket_url: preferICS(existing.ticket_url, incoming.ticket_url),
     pinned: preferICS(existing.pinned, incoming.pinned),
+    price: preferICS(existing.price, incoming.price),
+    level: preferICS(existing.level, incoming.level),
+    style: preferICS(existing.style, incoming.style),
+    // like pinned: remove with "hidden: false" / "featured: false", or lock in the CSV
+    hidden: preferICS(existing.hidden, incoming.hidden),
+    featured: preferICS(existing.featured, incoming.featured),
+    description: preferICS(existing.description, incoming.description),
+    status: mergeStatus(existing.status, incoming.status, moved),
+    category: preferICS(existing.category, incoming.category),
+    series: preferICS(existing.series, incoming.series),
+    recurrence: preferICS(existing.recurrence, incoming.recurrence),
+    // written by the image step from the cover file, not by the calendar
+    cover_size: existing.cover_size,
+    cover_variants: existing.cover_variants,
+    // resolved from the place by applyVenues() (kept when locked)
+    venue_id: existing.venue_id,
   };
 }
 
 function keyOf(r) {
   // Prevent collisions: same name same day but different time
-  const dt = DateTime.fromISO(r.start_time, { zone: ZONE });
+  const dt = toDateTime(r.start_time);
   const stamp = dt.toFormat("yyyy-LL-dd'T'HH-mm"); // minute precision
   return `event__${slug(r.name)}__${stamp}`;
 }
 
-function isPinnedValue(v) {
-  const s = clean(v).toLowerCase();
-  return s === "true" || s === "1" || s === "yes";
+// End instant of a row: all-day rows end when their last day is over
+function endOf(r) {
+  const end = toDateTime(clean(r.end_time) ? r.end_time : r.start_time);
+  return isDateOnly(r.end_time || r.start_time) ? end.plus({ days: 1 }).startOf("day") : end;
 }
 
-/* ================= MAIN ================= */
-async function main() {
-  const now = DateTime.now().setZone(ZONE);
-
-  const existing = existsSync(CSV_PATH)
-    ? parseCSV(await fs.readFile(CSV_PATH, "utf8"))
-    : [];
-
-  const res = await fetch(ICS_URL);
-  if (!res.ok) throw new Error(`ICS fetch failed (${res.status})`);
-  const icsText = await res.text();
-
-  // Expand recurring events into occurrences for a useful website horizon
-  const expander = new IcalExpander({ ics: icsText, maxIterations: 5000 });
-
-  const rangeStart = now.minus({ days: PAST_DAYS }).toJSDate();
-  const rangeEnd = now.plus({ days: FUTURE_DAYS }).toJSDate();
+/* ================= ICS → ROWS ================= */
+function rowsFromICS(icsText, source, rangeStart, rangeEnd) {
+  // An empty or truncated download must never reach the CSV
+  let expander;
+  try {
+    // Expand recurring events into occurrences for a useful website horizon
+    expander = new IcalExpander({ ics: icsText, maxIterations: 5000 });
+  } catch (err) {
+    throw new Error(`Source "${source.name}": ICS does not parse (${err.message})`);
+  }
+  if (!expander.events.length) {
+    throw new Error(`Source "${source.name}": ICS has no VEVENT (${icsText.length} bytes)`);
+  }
 
   const { events, occurrences } = expander.between(rangeStart, rangeEnd);
 
-  // Non-recurring events
+  // Series identity: master UID → "Tous les mardis 20h–21h15"
+  const masters = expander.events.filter((e) => e.isRecurring() && !e.isRecurrenceException());
+  const recurrenceOf = new Map(masters.map((e) => [clean(e.uid), recurrenceSummary(e, ZONE)]));
+
+  // Non-recurring events + modified occurrences (RECURRENCE-ID exceptions)
   const singleRows = (events || [])
     .filter((e) => e?.startDate && e?.summary)
-    .map((e) =>
-      toRowFromICS({
-        uid: e.uid,
-        id: e.uid,
+    .map((e) => {
+      const startJS = e.startDate.toJSDate();
+      const uid = clean(e.uid || e.summary);
+      let status = statusFromICS(e.component.getFirstPropertyValue("status"));
+      let id = uid;
+      let series = "";
+
+      if (e.isRecurrenceException()) {
+        // Keep the id of the occurrence it replaces so the row moves in place
+        const origJS = e.recurrenceId.toJSDate();
+        id = `${uid}__${occStamp(origJS)}`;
+        series = uid;
+        if (status !== "cancelled" && +origJS !== +startJS) status = "rescheduled";
+      }
+
+      return toRowFromICS({
+        uid: id,
+        id,
         summary: e.summary,
-        start: e.startDate.toJSDate(),
+        start: startJS,
+        end: e.endDate.toJSDate(),
+        allDay: e.startDate.isDate,
         location: e.location,
         description: e.description,
         url: e.url,
-      })
-    );
+        status,
+        series,
+        recurrence: recurrenceOf.get(series) || "",
+      }, source);
+    });
 
   // Recurring occurrences (each instance becomes its own row)
   const occRows = (occurrences || [])
     .filter((o) => o?.startDate && o?.item?.summary)
     .map((o) => {
-      const e = o.item; // master event
+      const e = o.item; // master event (or its RECURRENCE-ID exception)
       const startJS = o.startDate.toJSDate();
+      const origJS = (o.recurrenceId || o.startDate).toJSDate();
+
+      // Stable per-occurrence id, from the original slot so moves keep the row
+      const series = clean(e.uid || e.id || e.summary);
+      const occId = `${series}__${occStamp(origJS)}`;
 
-      // Stable per-occurrence id
-      const stamp = DateTime.fromJSDate(startJS, { zone: ZONE }).toFormat(
-        "yyyyLLdd_HHmm"
-      );
-      const occId = `${clean(e.uid || e.id || e.summary)}__${stamp}`;
+      let status = statusFromICS(e.component.getFirstPropertyValue("status"));
+      if (status !== "cancelled" && +origJS !== +startJS) status = "rescheduled";
 
       return toRowFromICS({
         uid: occId,
         id: occId,
         summary: e.summary,
         start: startJS,
+        end: o.endDate.toJSDate(),
+        allDay: o.startDate.isDate,
         location: e.location,
         description: e.description,
         url: e.url,
-      });
+        status,
+        series,
+        recurrence: recurrenceOf.get(series) || "",
+      }, source);
     });
 
-  const incoming = [...singleRows, ...occRows];
+  // EXDATE'd occurrences are dropped by the expander: keep them as cancelled rows
+  const exdateRows = expander.events
+    .filter((e) => e.isRecurring() && !e.isRecurrenceException() && e.summary)
+    .flatMap((e) =>
+      e.component
+        .getAllProperties("exdate")
+        .flatMap((p) => p.getValues())
+        .map((t) => t.toJSDate())
+        .filter((d) => d >= rangeStart && d <= rangeEnd)
+        .map((d) => {
+          const occId = `${clean(e.uid || e.summary)}__${occStamp(d)}`;
+          return toRowFromICS({
+            uid: occId,
+            id: occId,
+            summary: e.summary,
+            start: d,
+            end: new Date(+d + e.duration.toSeconds() * 1000),
+            allDay: e.startDate.isDate,
+            location: e.location,
+            description: e.description,
+            url: e.url,
+            status: "cancelled",
+            series: clean(e.uid || e.summary),
+            recurrence: recurrenceOf.get(clean(e.uid)) || "",
+          }, source);
+        })
+    );
+
+  return [...singleRows, ...occRows, ...exdateRows];
+}
+
+// Confirmed series occurrences on a school holiday day → "skipped"
+function skipHolidays(rows, holidays) {
+  let count = 0;
+  for (const r of rows) {
+    if (!r.series || r.status !== "confirmed") continue;
+    if (!holidayOn(toDateTime(r.start_time).toISODate(), holidays)) continue;
+    r.status = "skipped";
+    count++;
+  }
+  return count;
+}
+
+/* ================= MAIN ================= */
+// --now, else the clock (an invalid --now gives an invalid DateTime)
+const runNow = () => (args.now ? DateTime.fromISO(args.now, { zone: ZONE }) : DateTime.now().setZone(ZONE));
+
+async function main() {
+  const now = runNow();
+  if (!now.isValid) throw new Error(`--now: invalid date "${args.now}"`);
+  const dryRun = args["dry-run"];
+  const report = createReport({ now, dryRun });
+
+  const previousCSV = existsSync(CSV_PATH) ? await fs.readFile(CSV_PATH, "utf8") : "";
+  const existing = parseCSV(previousCSV);
+
+  // Hand edits (GitHub, admin.html) are checked with the same rules as the editor
+  for (const r of existing) {
+    for (const p of checkRow(r)) {
+      report.warnings.push(`CSV row "${r.name}" (${r.start_time}): ${p.message}`);
+      console.warn(`⚠️ ${report.warnings.at(-1)}`);
+    }
+  }
+
+  const rangeStart = now.minus({ days: PAST_DAYS }).toJSDate();
+  const rangeEnd = now.plus({ days: FUTURE_DAYS }).toJSDate();
+
+  const skippedSources = [];
+  const sources = await loadSources(args.ics, report.warnings, skippedSources);
+  if (!sources.length) throw new Error("No ICS source configured (set GCAL_ICS_URL)");
+
+  const holidays = await loadHolidays(HOLIDAYS_PATH, report.warnings);
+  const venues = await loadVenues(VENUES_PATH, report.warnings);
+
+  const incoming = [];
+  for (const source of sources) {
+    const rows = rowsFromICS(await readSource(source), source, rangeStart, rangeEnd);
+    if (source.skip_school_holidays) {
+      const skipped = skipHolidays(rows, holidays);
+      if (skipped) console.log(`🏖️ ${source.name}: ${skipped} occurrences during school holidays`);
+    }
+    console.log(`📅 ${source.name}: ${rows.length} rows`);
+    report.sources.push({ name: source.name, events: rows.length });
+    incoming.push(...rows);
+  }
+
+  // Merge existing + incoming:
+  // - match on the calendar id first, so a moved event updates its row
+  // - fall back to name+minute for hand-made rows and legacy ids
+  const rows = [];
+  const byId = new Map();
+  const byKey = new Map();
+  const index = (r) => {
+    if (r.id) byId.set(r.id, r);
+    byKey.set(keyOf(r), r);
+  };
 
-  // Merge existing + incoming
-  const map = new Map();
-  for (const r of [...existing, ...incoming]) {
-    r.start_time = roundToMinuteISO(r.start_time);
-    const k = keyOf(r);
-    map.set(k, map.has(k) ? mergeRows(map.get(k), r) : r);
+  for (const r of existing) {
+    r.start_time = roundStartTime(r.start_time);
+    r.end_time = roundStartTime(r.end_time);
+    rows.push(r);
+    index(r);
+  }
+  const before = new Map(existing.map((r) => [r, { ...r }]));
+  const seen = new Set();
+
+  for (const r of incoming) {
+    r.start_time = roundStartTime(r.start_time);
+    r.end_time = roundStartTime(r.end_time);
+    const match = byId.get(r.id) ?? byKey.get(keyOf(r));
+    if (match) seen.add(match);
+    if (!match) {
+      rows.push(r);
+      index(r);
+      continue;
+    }
+    for (const o of lockOverrides(match, r)) report.overrides.push({ row: match, ...o });
+    Object.assign(match, mergeRows(match, r));
+    index(match);
+  }
+
+  // Deleted from the calendar: future rows with a calendar id that this download no longer has
+  // (pinned rows are hand-kept, rows outside the expansion window were not asked for).
+  // With a source skipped, its rows cannot be told apart: nothing is dropped then.
+  const vanished = new Set(
+    existing.filter(
+      (r) =>
+        r.id &&
+        !seen.has(r) &&
+        !isTrueValue(r.pinned) &&
+        endOf(r) > now &&
+        toDateTime(r.start_time) >= DateTime.fromJSDate(rangeStart) &&
+        toDateTime(r.start_time) <= DateTime.fromJSDate(rangeEnd)
+    )
+  );
+  const future = existing.filter((r) => r.id && !isTrueValue(r.pinned) && endOf(r) > now);
+
+  // Mass-disappearance guard: a truncated feed must not empty the agenda
+  if (
+    !args.force &&
+    vanished.size >= MIN_VANISH_ROWS &&
+    vanished.size > future.length * MAX_VANISH_SHARE
+  ) {
+    throw new Error(
+      `Refusing to sync: ${vanished.size}/${future.length} future rows missing from the calendars ` +
+        `(limit ${Math.round(MAX_VANISH_SHARE * 100)}%). Check the ICS feeds, or rerun with --force.`
+    );
+  }
+  const dropVanished = !skippedSources.length;
+  if (vanished.size) {
+    report.warnings.push(
+      `${vanished.size}/${future.length} future rows not found in the calendars ` +
+        (dropVanished ? "(removed)" : `(kept: source ${skippedSources.join(", ")} skipped)`)
+    );
+    console.warn(`⚠️ ${report.warnings.at(-1)}`);
+  }
+
+  // Links the homepage would put in an href: anything but http(s) is cleared (a locked one stays,
+  // `--validate` reports it), before the rows reach the CSV or the archives
+  for (const r of rows) {
+    for (const field of URL_FIELDS) {
+      const value = clean(unlock(r[field]));
+      if (!value || isWellFormedUrl(value)) continue;
+      const what = isLocked(r[field]) ? "kept: locked" : "cleared";
+      if (!isLocked(r[field])) r[field] = "";
+      report.warnings.push(`${field} of "${r.name}" ${what}: only http(s) URLs are supported (${value.slice(0, 40)}…)`);
+      console.warn(`⚠️ ${report.warnings.at(-1)}`);
+    }
   }
 
   // Removal policy:
   // - keep pinned rows forever
-  // - otherwise keep until start_time + REMOVAL_DELAY_HOURS
-  const finalRows = [...map.values()].filter((r) => {
-    if (isPinnedValue(r.pinned)) return true;
-    const start = DateTime.fromISO(r.start_time, { zone: ZONE });
-    return now < start.plus({ hours: REMOVAL_DELAY_HOURS });
+  // - drop the rows deleted from the calendar
+  // - otherwise keep until end_time + REMOVAL_DELAY_HOURS (start_time for legacy rows)
+  const finalRows = rows.filter((r) => {
+    if (isTrueValue(r.pinned)) return true;
+    if (dropVanished && vanished.has(r)) return false;
+    return now < endOf(r).plus({ hours: REMOVAL_DELAY_HOURS });
   });
 
-  finalRows.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
-  await fs.writeFile(CSV_PATH, unparseCSV(finalRows), "utf8");
+  for (const r of finalRows) {
+    if (!isLocked(r.status) && !STATUSES.includes(r.status)) r.status = "confirmed";
+  }
+
+  finalRows.sort((a, b) => toDateTime(a.start_time) - toDateTime(b.start_time));
+
+  // "Salle Baptiste Marcet", its address and typo variants → one venue_id
+  applyVenues(finalRows, venues, { warnings: report.warnings });
+
+  // Posters: remote covers imported, responsive variants generated (files, so not in dry runs)
+  if (!dryRun) await processCovers(finalRows, { warnings: report.warnings });
+
+  // Report: compare against the rows as they were read from the CSV
+  const kept = new Set(finalRows);
+  for (const r of finalRows) {
+    if (!before.has(r)) report.added.push(r);
+    else {
+      const fields = changedFields(before.get(r), r, COLUMNS);
+      if (fields.length) report.updated.push({ row: r, fields });
+    }
+    if (isTrueValue(r.pinned)) report.pinned.push(r);
+    const locked = lockedFields(r, COLUMNS);
+    if (locked.length) report.locked.push({ row: r, fields: locked });
+  }
+  report.removed = existing.filter((r) => !kept.has(r));
+
+  const csv = unparseCSV(finalRows);
+  if (!dryRun) {
+    await fs.writeFile(CSV_PATH, csv, "utf8");
+
+    // History stays available to the Archives tab, the live CSV stays small
+    // (rows deleted from the calendar never took place: not history)
+    const expired = report.removed.filter((r) => !vanished.has(r));
+    report.archived = await archiveRows(expired, { dir: ARCHIVES_DIR, zone: ZONE, columns: COLUMNS });
+
+    // Drafts (hidden: true) stay in the CSV but are never published
+    const published = finalRows.filter((r) => !isTrueValue(r.hidden));
+    await writeFeeds(published, { dir: FEEDS_DIR, zone: ZONE, venues: venueIndex(venues) });
+    await writeCoverIndex();
+
+    // JSON-LD in the pages + sitemap lastmod whenever the event data moved
+    const changedPages = await writeStructuredData(published, { zone: ZONE, now, venues: venueIndex(venues) });
+    await touchSitemap(csv !== previousCSV ? EVENT_PAGES : changedPages, { now });
+
+    await recordSuccess({
+      now,
+      sources: report.sources,
+      events: finalRows.length,
+      warnings: report.warnings,
+    });
+  }
+
+  if (args.report === "-") process.stdout.write(toMarkdown(report, { zone: ZONE }));
+  else if (args.report) await fs.writeFile(args.report, toMarkdown(report, { zone: ZONE }), "utf8");
 
   console.log(
-    `✅ Synced ${finalRows.length} events (recurrences expanded, locks preserved, pinned supported, cover preserved).`
+    `✅ ${dryRun ? "Dry run:" : "Synced"} ${finalRows.length} events (recurrences expanded, locks preserved, pinned supported, cover preserved, ${finalRows.filter((r) => r.status === "cancelled").length} cancelled, ${finalRows.filter((r) => r.status === "skipped").length} skipped) — ${summaryLine(report)}.`
   );
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+/* ================= VALIDATE ================= */
+// Read-only: raw rows (nothing filtered or normalized), so every problem shows up
+async function validate() {
+  const archives = existsSync(ARCHIVES_DIR)
+    ? (await fs.readdir(ARCHIVES_DIR)).filter((f) => f.endsWith(".csv")).sort().map((f) => `${ARCHIVES_DIR}/${f}`)
+    : [];
+  let errors = 0;
+  for (const file of [CSV_PATH, ...archives]) {
+    if (!existsSync(file)) continue;
+    const rows = Papa.parse(await fs.readFile(file, "utf8"), { header: true, skipEmptyLines: true }).data;
+    const issues = validateRows(rows, { keyOf, isTagLine });
+    errors += issues.filter((i) => i.level === "error").length;
+    console.log(formatIssues(file, rows, issues));
+  }
+  if (errors) {
+    console.error(`\n❌ ${errors} error(s): fix the rows above (or in admin.html) before committing.`);
+    process.exitCode = 1;
+  }
+}
+
+if (args.validate) {
+  validate().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+} else {
+  main().catch(async (err) => {
+    console.error(err);
+    // The CSV was not written: keep the last known-good data and flag the failure
+    if (!args["dry-run"]) {
+      const now = runNow();
+      await recordFailure(err, { now: now.isValid ? now : DateTime.now() }).catch(() => {});
+    }
+    process.exit(1);
+  });
+}
@@ -0,0 +1,60 @@
+// scripts/ics_to_csv.test.js (ESM, Node 20)
+// node --test scripts/ — the sync on fixtures/: links other than http(s) never reach the CSV or the archives.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Papa from "papaparse";
+import sharp from "sharp";
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const SYNC = path.join(ROOT, "scripts/ics_to_csv.js");
+const CSV = "kizbourges_events_template1.csv";
+const cwd = process.cwd();
+let dir;
+
+const sync = (...args) =>
+  promisify(execFile)(process.execPath, [...process.execArgv, SYNC, ...args], {
+    cwd: dir,
+    env: { ...process.env, TZ: "Europe/Paris" },
+  });
+const rows = async (file) => Papa.parse(await fs.readFile(file, "utf8"), { header: true, skipEmptyLines: true }).data;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "sync-"));
+  process.chdir(dir);
+  await fs.copyFile(path.join(ROOT, "fixtures/unsafe_links.csv"), CSV);
+  // pages the sync writes its JSON-LD and lastmod into
+  for (const page of ["index.html", "sitemap.xml"]) await fs.copyFile(path.join(ROOT, page), page);
+  await fs.mkdir("Images/events", { recursive: true });
+  await sharp({ create: { width: 400, height: 500, channels: 3, background: "red" } })
+    .jpeg()
+    .toFile("Images/events/poster.jpg");
+});
+after(async () => {
+  process.chdir(cwd);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("javascript: and data: links are dropped from calendar and CSV rows", async () => {
+  await sync("--ics", path.join(ROOT, "fixtures/unsafe_links.ics"), "--now", "2026-10-19T12:00");
+
+  const live = await rows(CSV);
+  const anchor = live.find((r) => r.id === "anchor@fixture");
+  assert.equal(anchor.ticket_url, "https://www.helloasso.com/associations/amigos-latino/evenements/soiree");
+  const tags = live.find((r) => r.id === "tags@fixture");
+  assert.equal(tags.ticket_url, "");
+  assert.equal(tags.event_url, "");
+
+  const [archived] = await rows("archives/2026-2027.csv");
+  assert.equal(archived.name, "Atelier passé");
+  assert.equal(archived.event_url, "");
+
+  // what used to make `--validate` fail
+  await assert.doesNotReject(sync("--validate"));
+});
@@ -0,0 +1,227 @@
+// scripts/prerender.js (ESM, Node 20)
+// Build step run after ics_to_csv.js, so the events are there without JavaScript or the CDN:
+// - events.json: the published rows, compact (column names once, one array per row);
+//   events.js hydrates from it and only falls back to the CSV + PapaParse when it is missing
+// - the upcoming "Événements" list as plain HTML between markers in index.html (#ev-list),
+//   the markup listLayout() in events.js renders: the script replaces it once loaded
+//   (registered venues from venues.json shown by their canonical name, with the route link);
+//   rows, dates, labels and links come from events-core.js, the helpers events.js uses
+// CLI: --now <ISO> (what "upcoming" means, for tests)
+
+import fs from "node:fs/promises";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { clean, unlock, isTrueValue } from "./common.js";
+import { COLUMNS } from "./csv_rules.js";
+import { toDescription } from "./description.js";
+import "../events-core.js";
+
+const {
+  FALLBACK_COVER, STATUS_LABELS, SERIES_NEXT, toEvent, osmLinks, routeLabel, isOff, select, fmtWhen, detailHash, tagList,
+  offText, coverSrcset, hasVariants, icsHref, googleCalUrl, outlookCalUrl, toPlaylists, playlistFor, playlistText,
+  carpoolUrl, isCarpoolForm, carpoolLabel, isHelloAssoForm,
+} = globalThis.KizEventsCore;
+
+const CSV_PATH = "kizbourges_events_template1.csv";
+const JSON_PATH = "events.json";
+const PLAYLISTS_PATH = "playlists.json";
+const VENUES_PATH = "venues.json";
+const CARPOOL_PATH = "carpool.json";
+const PAGE = "index.html";
+
+const START_MARK = "<!-- events-list:start -->";
+const END_MARK = "<!-- events-list:end -->";
+
+const { values: args } = parseArgs({ options: { now: { type: "string" } } });
+
+/* ================= ROWS ================= */
+async function readRows() {
+  const text = await fs.readFile(CSV_PATH, "utf8");
+  const { data } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  return data
+    .map((raw) => Object.fromEntries(COLUMNS.map((c) => [c, unlock((raw[c] ?? "").trim())])))
+    .map((r) => ({ ...r, status: r.status.toLowerCase() }))
+    .filter((r) => clean(r.name) && !isTrueValue(r.hidden));
+}
+
+// [{ title, url, style, event?, category?, slug }]; none when the file is missing
+async function readPlaylists() {
+  try {
+    return toPlaylists(JSON.parse(await fs.readFile(PLAYLISTS_PATH, "utf8")));
+  } catch {
+    return [];
+  }
+}
+
+// venue_id → { id, name, address, lat?, lon? }; empty when the file is missing
+async function readVenues() {
+  try {
+    const list = JSON.parse(await fs.readFile(VENUES_PATH, "utf8"));
+    return new Map((Array.isArray(list) ? list : []).filter((v) => v && v.id && v.name).map((v) => [v.id, v]));
+  } catch {
+    return new Map();
+  }
+}
+
+// { form, prefill: { event, date, venue } }; null when the file is missing or the form cannot be prefilled
+async function readCarpool() {
+  try {
+    const cfg = JSON.parse(await fs.readFile(CARPOOL_PATH, "utf8"));
+    return isCarpoolForm(cfg) ? cfg : null;
+  } catch {
+    return null;
+  }
+}
+
+// One row per line: small diffs in the sync commits
+function toJSON(rows) {
+  const lines = rows.map((r) => JSON.stringify(COLUMNS.map((c) => r[c])));
+  const body = lines.length ? `\n${lines.join(",\n")}\n` : "";
+  return `{"columns":${JSON.stringify(COLUMNS)},\n"rows":[${body}]}\n`;
+}
+
+/* ================= MARKUP ================= */
+const esc = (s) =>
+  (s ?? "").toString().replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const attrs = (o) =>
+  Object.entries(o)
+    .filter(([, v]) => v !== undefined && v !== false)
+    .map(([k, v]) => (v === true ? ` ${k}` : ` ${k}="${esc(v)}"`))
+    .join("");
+
+function coverPicture(ev, sizes) {
+  const img = { class: "ev-row-img", alt: `Affiche : ${ev.name}`, loading: "lazy", src: ev.cover || FALLBACK_COVER };
+  let sources = "";
+  if (hasVariants(ev)) {
+    sources = ["avif", "webp"].map((ext) => `<source${attrs({ type: `image/${ext}`, srcset: coverSrcset(ev, ext), sizes })}>`).join("");
+    Object.assign(img, { srcset: coverSrcset(ev, "jpg"), sizes });
+  }
+  if (ev.coverSize) Object.assign(img, ev.coverSize);
+  return `<picture>${sources}<img${attrs(img)}></picture>`;
+}
+
+function badge(status) {
+  return STATUS_LABELS[status] ? `<span class="ev-badge is-${status}">${STATUS_LABELS[status]}</span>` : "";
+}
+
+function tagChips(ev) {
+  return tagList(ev).map(([cls, text]) => `<span class="ev-tag ${cls}">${esc(text)}</span>`).join("");
+}
+
+// The markup of the DOM helpers of the same name in events.js
+function playlistLink(ev, playlists) {
+  const p = !isOff(ev) && playlistFor(ev, playlists);
+  return p ? `<a class="btn alt ev-playlist" href="#playlist/${esc(p.slug)}">${playlistText(ev)}</a>` : "";
+}
+
+// HelloAsso forms open in the modal of the homepage
+function ticketLink(ev) {
+  const ha = isHelloAssoForm(ev.ticket_url);
+  const a = { href: ev.ticket_url, class: ha ? "btn ha-ticket" : "btn", "data-ha-title": ha && ev.name, target: "_blank", rel: "noopener" };
+  return `<a${attrs(a)}>Billets</a>`;
+}
+
+// The venue's canonical name and its OpenStreetMap route (registered venues only)
+function whereLine(ev) {
+  const p = ev.place;
+  if (!p.id) return `<p class="ev-row-where">${esc(p.name || "—")}</p>`;
+  const link = attrs({ href: osmLinks(p).route, class: "ev-route", target: "_blank", rel: "noopener", "aria-label": routeLabel(p) });
+  return `<p class="ev-row-where">${esc(p.name)} · <a${link}>Itinéraire</a></p>`;
+}
+
+function carpoolLink(ev, carpool) {
+  if (!carpool || isOff(ev)) return "";
+  const a = { href: carpoolUrl(ev, carpool), class: "btn alt ev-carpool", target: "_blank", rel: "noopener", "aria-label": carpoolLabel(ev) };
+  return `<a${attrs(a)}>🚗 Covoiturage</a>`;
+}
+
+function seriesDates(ev) {
+  let html = "";
+  if (ev.dates.length) {
+    const items = ev.dates
+      .slice(0, SERIES_NEXT)
+      .map((o) => `<li><a href="${esc(detailHash(o))}">${esc(fmtWhen(o))}</a>${badge(o.status) && " " + badge(o.status)}</li>`);
+    html += `<ul class="ev-series-dates" aria-label="Prochaines dates">${items.join("")}</ul>`;
+  }
+  if (ev.off.length) html += `<p class="ev-series-off">${esc(offText(ev))}</p>`;
+  return `<div class="ev-series">${html}</div>`;
+}
+
+// "Ajouter à l'agenda": the .ics download and the Google / Outlook links of calMenu()
+function calMenu(ev) {
+  const ext = { target: "_blank", rel: "noopener" };
+  return (
+    `<details class="cal-menu"><summary class="btn alt">Ajouter à l’agenda</summary><div class="cal-menu-list">` +
+    `<a${attrs({ href: icsHref(ev), download: true })}>Fichier .ics (Apple, Android…)</a>` +
+    `<a${attrs({ href: googleCalUrl(ev), ...ext })}>Google Agenda</a>` +
+    `<a${attrs({ href: outlookCalUrl(ev), ...ext })}>Outlook</a>` +
+    `</div></details>`
+  );
+}
+
+function card(ev, { playlists, carpool }) {
+  const desc = toDescription(ev.description);
+  const actions = [
+    `<a class="btn alt" href="${esc(detailHash(ev))}">Détails</a>`,
+    ev.ticket_url && ticketLink(ev),
+    carpoolLink(ev, carpool),
+    playlistLink(ev, playlists),
+    !isOff(ev) && calMenu(ev),
+  ].filter(Boolean);
+  return [
+    `<div class="card ev-row${isOff(ev) ? " is-cancelled" : ""}" role="listitem">`,
+    coverPicture(ev, "120px"),
+    `<div>${badge(ev.status)}`,
+    `<h3>${esc(ev.name)}</h3>`,
+    `<p class="ev-row-when">${esc(ev.isSeries ? ev.recurrence || fmtWhen(ev) : fmtWhen(ev))}</p>`,
+    whereLine(ev),
+    ev.isSeries ? seriesDates(ev) : "",
+    `<div class="ev-tags">${tagChips(ev)}</div>`,
+    desc ? `<div class="ev-desc"><div class="ev-desc-body">${desc}</div></div>` : `<div class="ev-desc" hidden></div>`,
+    `<div class="ev-row-actions">${actions.join("")}</div>`,
+    `</div></div>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function listBlock(events, links) {
+  const cards = events.length ? events.map((ev) => card(ev, links)) : [`<div class="card ev-empty">Aucun élément pour le moment.</div>`];
+  return `${START_MARK}\n${cards.join("\n")}\n${END_MARK}`;
+}
+
+/* ================= WRITE ================= */
+async function writeIfChanged(file, text) {
+  const prev = await fs.readFile(file, "utf8").catch(() => "");
+  if (prev !== text) await fs.writeFile(file, text, "utf8");
+  return prev !== text;
+}
+
+async function main() {
+  const now = args.now ? new Date(args.now) : new Date();
+  if (Number.isNaN(now.getTime())) throw new Error(`--now: invalid date "${args.now}"`);
+
+  const rows = await readRows();
+  await writeIfChanged(JSON_PATH, toJSON(rows));
+
+  const html = await fs.readFile(PAGE, "utf8");
+  const a = html.indexOf(START_MARK);
+  const b = html.indexOf(END_MARK);
+  if (a === -1 || b === -1) {
+    console.warn(`⚠️ ${PAGE}: no ${START_MARK} marker, static list skipped`);
+  } else {
+    // what the homepage list shows first: events (not courses) still to come, one card per series
+    const venues = await readVenues();
+    const all = rows.map((r) => toEvent(r, venues)).sort((x, y) => new Date(x.start_time) - new Date(y.start_time));
+    const events = select(all, { category: "event", series: true, now });
+    const block = listBlock(events, { playlists: await readPlaylists(), carpool: await readCarpool() });
+    await writeIfChanged(PAGE, html.slice(0, a) + block + html.slice(b + END_MARK.length));
+    console.log(`🧱 ${PAGE}: ${events.length} upcoming events pre-rendered`);
+  }
+  console.log(`📦 ${JSON_PATH}: ${rows.length} published rows`);
+}
+
+main().catch((err) => {
+  console.error("❌ Pre-render failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// scripts/series.js (ESM, Node 20)
+// Recurring series (weekly courses):
+// - the RRULE of the master event summarized in French for the "recurrence" column
+//   ("Tous les mardis 20h–21h15", "Un samedi sur deux 21h–2h", "Le 1er samedi du mois")
+// - French school holidays (zone B) from an optional local file: occurrences inside a
+//   period become "skipped" for sources with skip_school_holidays: true
+
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { DateTime } from "luxon";
+
+/* ================= RECURRENCE SUMMARY ================= */
+const DAYS = {
+  MO: ["lundi", "lundis"],
+  TU: ["mardi", "mardis"],
+  WE: ["mercredi", "mercredis"],
+  TH: ["jeudi", "jeudis"],
+  FR: ["vendredi", "vendredis"],
+  SA: ["samedi", "samedis"],
+  SU: ["dimanche", "dimanches"],
+};
+const DAY_CODES = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]; // luxon weekday - 1
+
+const list = (words) => (words.length > 1 ? `${words.slice(0, -1).join(", ")} et ${words.at(-1)}` : words[0]);
+const hour = (dt) => (dt.minute ? dt.toFormat("H'h'mm") : dt.toFormat("H'h'"));
+
+function ordinal(n) {
+  if (n === -1) return "dernier";
+  return n === 1 ? "1er" : `${n}e`;
+}
+
+function rulePhrase(rule, start) {
+  const interval = rule.interval || 1;
+  const byday = rule.parts?.BYDAY?.length ? rule.parts.BYDAY : [DAY_CODES[start.weekday - 1]];
+
+  switch (rule.freq) {
+    case "DAILY":
+      return interval === 1 ? "Tous les jours" : `Tous les ${interval} jours`;
+    case "WEEKLY": {
+      const codes = byday.map((d) => d.slice(-2)).filter((c) => DAYS[c]);
+      if (interval === 1) return `Tous les ${list(codes.map((c) => DAYS[c][1]))}`;
+      if (interval === 2) return `Un ${list(codes.map((c) => DAYS[c][0]))} sur deux`;
+      return `Toutes les ${interval} semaines, le ${list(codes.map((c) => DAYS[c][0]))}`;
+    }
+    case "MONTHLY": {
+      // BYDAY=1SA / -1FR, or BYDAY=SA;BYSETPOS=1
+      const m = byday[0].match(/^([+-]?\d)?([A-Z]{2})$/);
+      const pos = Number(m?.[1] ?? rule.parts?.BYSETPOS?.[0]);
+      if (rule.parts?.BYDAY?.length && pos && DAYS[m[2]]) {
+        return `Le ${ordinal(pos)} ${DAYS[m[2]][0]} du mois`;
+      }
+      const day = rule.parts?.BYMONTHDAY?.[0] ?? start.day;
+      return interval === 1 ? `Tous les mois, le ${day}` : `Tous les ${interval} mois, le ${day}`;
+    }
+    case "YEARLY":
+      return "Tous les ans";
+    default:
+      return "";
+  }
+}
+
+/**
+ * "Tous les mardis 20h–21h15" for a recurring ical.js event, "" when there is no RRULE.
+ */
+export function recurrenceSummary(event, zone) {
+  const rule = event.component.getFirstPropertyValue("rrule");
+  if (!rule) return "";
+  const start = DateTime.fromJSDate(event.startDate.toJSDate(), { zone });
+  const phrase = rulePhrase(rule, start);
+  if (!phrase || event.startDate.isDate) return phrase;
+  const end = DateTime.fromJSDate(event.endDate.toJSDate(), { zone });
+  return `${phrase} ${hour(start)}–${hour(end)}`;
+}
+
+/* ================= SCHOOL HOLIDAYS ================= */
+// [{ "name": "Vacances de la Toussaint", "start": "2026-10-17", "end": "2026-11-02" }]
+// start = first day off, end = day classes resume (same convention as the official calendar)
+export async function loadHolidays(file, warnings = []) {
+  if (!existsSync(file)) return [];
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    warnings.push(`${file}: unreadable, school holidays ignored (${err.message})`);
+    console.warn(`⚠️ ${warnings.at(-1)}`);
+    return [];
+  }
+  const periods = (Array.isArray(data) ? data : data.periods || []).filter(
+    (p) => /^\d{4}-\d{2}-\d{2}$/.test(p?.start) && /^\d{4}-\d{2}-\d{2}$/.test(p?.end)
+  );
+  return periods.map((p) => ({ name: p.name || "Vacances scolaires", start: p.start, end: p.end }));
+}
+
+// Holiday period containing a Paris calendar day (yyyy-LL-dd), if any
+export function holidayOn(day, holidays) {
+  return holidays.find((p) => day >= p.start && day < p.end) || null;
+}
@@ -0,0 +1,166 @@
+// scripts/structured_data.js (ESM, Node 20)
+// SEO side of the sync:
+// - schema.org DanceEvent JSON-LD for upcoming rows, written between markers in the pages
+//   (location from the venue registry when the row has a venue_id: address, geo);
+//   one entry per recurring series (its next date that takes place), cancelled and
+//   holiday dates left out, each linking to its #evenement/<id> view on the homepage
+// - sitemap.xml <lastmod> refreshed for those pages whenever their event data changes
+
+import fs from "node:fs/promises";
+import { DateTime } from "luxon";
+import { clean, unlock, isDateOnly } from "./common.js";
+import { descriptionText } from "./description.js";
+import "../events-core.js";
+
+const { SITE_URL, FALLBACK_COVER, normalizeCover, linkUrl, toEvent, select, isOff, detailHash } = globalThis.KizEventsCore;
+const SITEMAP_PATH = "sitemap.xml";
+const MAX_EVENTS = 50;
+
+// Pages that list events: JSON-LD goes between the markers, lastmod follows the data
+export const EVENT_PAGES = [{ file: "index.html", loc: SITE_URL }];
+
+const START_MARK = "<!-- events-jsonld:start -->";
+const END_MARK = "<!-- events-jsonld:end -->";
+
+const EVENT_STATUS = {
+  confirmed: "https://schema.org/EventScheduled",
+  cancelled: "https://schema.org/EventCancelled",
+  rescheduled: "https://schema.org/EventRescheduled",
+  skipped: "https://schema.org/EventCancelled",
+};
+
+/* ================= URLS ================= */
+// The cover as the pages show it (normalizeCover), made absolute
+function absoluteUrl(v) {
+  const url = normalizeCover(clean(unlock(v)));
+  return !url || /^https?:\/\//i.test(url) ? url : SITE_URL + url;
+}
+
+/* ================= JSON-LD ================= */
+function toSchemaDate(v, zone) {
+  const s = unlock(v);
+  if (!s) return undefined;
+  if (isDateOnly(s)) return s;
+  return DateTime.fromISO(s, { zone }).toISO({ suppressMilliseconds: true });
+}
+
+// "2 Rue Parmentier, 18000 Bourges" → PostalAddress
+function toAddress(address) {
+  const m = clean(address).match(/^(.*?),\s*(\d{5})\s+(.+)$/);
+  return {
+    "@type": "PostalAddress",
+    streetAddress: m ? m[1] : clean(address) || undefined,
+    postalCode: m?.[2],
+    addressLocality: m ? m[3] : "Bourges",
+    addressCountry: "FR",
+  };
+}
+
+function toPlaceLD(row, venue) {
+  const place = clean(unlock(row.place));
+  if (!venue) return { "@type": "Place", name: place || "Bourges", address: toAddress(place) };
+  const ld = { "@type": "Place", name: venue.name, address: toAddress(venue.address || place) };
+  if (Number.isFinite(venue.lat) && Number.isFinite(venue.lon)) {
+    ld.geo = { "@type": "GeoCoordinates", latitude: venue.lat, longitude: venue.lon };
+  }
+  return ld;
+}
+
+export function toEventLD(row, zone, venues = new Map()) {
+  const ticket = linkUrl(clean(unlock(row.ticket_url)));
+
+  const ld = {
+    "@context": "https://schema.org",
+    "@type": "DanceEvent",
+    name: clean(unlock(row.name)),
+    description: descriptionText(unlock(row.description)) || undefined,
+    startDate: toSchemaDate(row.start_time, zone),
+    endDate: toSchemaDate(row.end_time, zone),
+    eventStatus: EVENT_STATUS[unlock(row.status)] || EVENT_STATUS.confirmed,
+    eventAttendanceMode: "https://schema.org/OfflineEventAttendanceMode",
+    location: toPlaceLD(row, venues.get(unlock(row.venue_id ?? ""))),
+    image: [absoluteUrl(row.cover) || SITE_URL + FALLBACK_COVER],
+    url: linkUrl(clean(unlock(row.event_url))) || SITE_URL + detailHash(toEvent(row)),
+    organizer: { "@type": "Organization", name: "KizBourges", url: SITE_URL },
+  };
+  const price = toPrice(row.price);
+  if (ticket || price) {
+    ld.offers = {
+      "@type": "Offer",
+      url: ticket || undefined,
+      price: price?.amount,
+      priceCurrency: price ? "EUR" : undefined,
+      availability: "https://schema.org/InStock",
+    };
+  }
+  return ld;
+}
+
+// "12€", "10 € / 8 € adhérents", "gratuit" → first amount in euros
+function toPrice(v) {
+  const s = clean(unlock(v)).toLowerCase();
+  if (!s) return null;
+  if (/gratuit|free|libre/.test(s)) return { amount: "0" };
+  const m = s.match(/(\d+(?:[.,]\d{1,2})?)/);
+  return m ? { amount: m[1].replace(",", ".") } : null;
+}
+
+function jsonLdBlock(rows, zone, venues) {
+  // "<" escaped so a name can never close the script element
+  const json = JSON.stringify(rows.map((r) => toEventLD(r, zone, venues)), null, 2).replace(/</g, "\\u003c");
+  return `${START_MARK}\n  <script type="application/ld+json">\n${json}\n  </script>\n  ${END_MARK}`;
+}
+
+/* ================= WRITE ================= */
+function replaceBetweenMarkers(html, block) {
+  const a = html.indexOf(START_MARK);
+  const b = html.indexOf(END_MARK);
+  if (a === -1 || b === -1) return null;
+  return html.slice(0, a) + block + html.slice(b + END_MARK.length);
+}
+
+/**
+ * Writes the JSON-LD of upcoming rows into every EVENT_PAGES file.
+ * Returns the pages whose markup changed.
+ */
+export async function writeStructuredData(rows, { zone, now, venues = new Map() }) {
+  const notOver = rows.filter((r) => {
+    const end = unlock(r.end_time) || unlock(r.start_time);
+    const dt = DateTime.fromISO(end, { zone });
+    return (isDateOnly(end) ? dt.endOf("day") : dt) >= now;
+  });
+  // weekly courses would fill the cap with their occurrences: one entry per series, as on the cards
+  const upcoming = select(notOver.map((r) => ({ ...toEvent(r), row: r })), { upcoming: false, series: true })
+    .filter((ev) => !isOff(ev))
+    .slice(0, MAX_EVENTS)
+    .map((ev) => ev.row);
+
+  const changed = [];
+  for (const page of EVENT_PAGES) {
+    const html = await fs.readFile(page.file, "utf8");
+    const next = replaceBetweenMarkers(html, jsonLdBlock(upcoming, zone, venues));
+    if (next === null) {
+      console.warn(`⚠️ ${page.file}: no ${START_MARK} marker, JSON-LD skipped`);
+      continue;
+    }
+    if (next !== html) {
+      await fs.writeFile(page.file, next, "utf8");
+      changed.push(page);
+    }
+  }
+  return changed;
+}
+
+export async function touchSitemap(pages, { now }) {
+  if (!pages.length) return;
+  let xml = await fs.readFile(SITEMAP_PATH, "utf8");
+  const today = now.toISODate();
+  for (const { loc } of pages) {
+    const esc = loc.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    xml = xml.replace(
+      new RegExp(`(<loc>${esc}</loc>\\s*<lastmod>)[^<]*(</lastmod>)`),
+      `$1${today}$2`
+    );
+  }
+  await fs.writeFile(SITEMAP_PATH, xml, "utf8");
+}
@@ -0,0 +1,89 @@
+// scripts/sync_report.js (ESM, Node 20)
+// What a sync run changed, as data + Markdown (used as the workflow commit body):
+// added / updated / removed (and archived) rows, pinned rows, lock-protected rows,
+// and every "!" lock that kept a value the calendar wanted to change.
+
+import { DateTime } from "luxon";
+import { clean, isLocked, unlock } from "./common.js";
+
+export function createReport({ now, dryRun = false }) {
+  return {
+    now,
+    dryRun,
+    sources: [],
+    added: [],
+    updated: [],
+    removed: [],
+    archived: [],
+    pinned: [],
+    locked: [],
+    overrides: [],
+    warnings: [],
+  };
+}
+
+/**
+ * Fields where a "!" lock in the CSV disagrees with the incoming calendar value.
+ * Empty calendar values are not conflicts (nothing was overridden).
+ */
+export function lockOverrides(existing, incoming) {
+  return Object.keys(incoming)
+    .filter((k) => isLocked(existing[k]) && clean(incoming[k]))
+    .filter((k) => clean(unlock(existing[k])) !== clean(unlock(incoming[k])))
+    .map((k) => ({ field: k, kept: unlock(existing[k]), calendar: clean(incoming[k]) }));
+}
+
+export function changedFields(before, after, columns) {
+  return columns.filter((c) => clean(before[c]) !== clean(after[c]));
+}
+
+export function lockedFields(row, columns) {
+  return columns.filter((c) => isLocked(row[c]));
+}
+
+/* ================= OUTPUT ================= */
+function when(row, zone) {
+  const v = unlock(row.start_time);
+  const dt = DateTime.fromISO(v, { zone });
+  if (!dt.isValid) return v;
+  return /^\d{4}-\d{2}-\d{2}$/.test(v) ? dt.toFormat("yyyy-LL-dd") : dt.toFormat("yyyy-LL-dd HH:mm");
+}
+
+const label = (row, zone) => `${when(row, zone)} · ${unlock(row.name)}`;
+const code = (v) => "`" + clean(v).replace(/`/g, "'") + "`";
+
+export function summaryLine(report) {
+  const { added, updated, removed, archived, overrides } = report;
+  return `+${added.length} added, ~${updated.length} updated, -${removed.length} removed (${archived.length} archived), ${overrides.length} lock override(s)`;
+}
+
+export function toMarkdown(report, { zone }) {
+  const out = [];
+  const title = report.now.setZone(zone).toFormat("yyyy-LL-dd HH:mm");
+  out.push(`Sync ${title}${report.dryRun ? " (dry run)" : ""}: ${summaryLine(report)}`);
+  out.push("");
+  if (report.sources.length) {
+    out.push(`Sources: ${report.sources.map((s) => `${s.name} (${s.events} events)`).join(", ")}`);
+    out.push("");
+  }
+
+  const section = (heading, items, fmt) => {
+    if (!items.length) return;
+    out.push(`### ${heading} (${items.length})`);
+    for (const it of items) out.push(`- ${fmt(it)}`);
+    out.push("");
+  };
+
+  section("Warnings", report.warnings, (w) => w);
+  section("Added", report.added, (r) => label(r, zone));
+  section("Updated", report.updated, ({ row, fields }) => `${label(row, zone)} — ${fields.join(", ")}`);
+  const archived = new Set(report.archived);
+  section("Removed", report.removed, (r) => `${label(r, zone)}${archived.has(r) ? " → archived" : ""}`);
+  section("Lock overrides", report.overrides, ({ row, field, kept, calendar }) =>
+    `${label(row, zone)} — ${field}: kept ${code(kept)}, calendar has ${code(calendar)}`
+  );
+  section("Pinned", report.pinned, (r) => label(r, zone));
+  section("Lock-protected", report.locked, ({ row, fields }) => `${label(row, zone)} — ${fields.join(", ")}`);
+
+  return out.join("\n").trimEnd() + "\n";
+}
@@ -0,0 +1,53 @@
+// scripts/sync_status.js (ESM, Node 20)
+// sync-status.json, read by the homepage ("Agenda mis à jour il y a X min" / stale notice):
+// { checked_at, last_success, sources: { name: count }, events, warnings, error? }
+// On failure the previous data is kept and "error" is added (cleared by the next success).
+
+import fs from "node:fs/promises";
+import { DateTime } from "luxon";
+
+const STATUS_PATH = "sync-status.json";
+const STATUS_REFRESH_MINUTES = Number(process.env.STATUS_REFRESH_MINUTES ?? 60);
+
+async function readStatus() {
+  try {
+    return JSON.parse(await fs.readFile(STATUS_PATH, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+// checked_at / last_success move on every run: a file differing only there is
+// rewritten at most every STATUS_REFRESH_MINUTES
+async function writeStatus(prev, next, now) {
+  const strip = (st) => JSON.stringify({ ...st, checked_at: undefined, last_success: undefined });
+  const age = prev.checked_at
+    ? now.diff(DateTime.fromISO(prev.checked_at), "minutes").minutes
+    : Infinity;
+  if (strip(prev) === strip(next) && age < STATUS_REFRESH_MINUTES) return;
+  await fs.writeFile(STATUS_PATH, JSON.stringify(next, null, 2) + "\n", "utf8");
+}
+
+const stamp = (now) => now.toUTC().startOf("second").toISO({ suppressMilliseconds: true });
+
+export async function recordSuccess({ now, sources, events, warnings }) {
+  const prev = await readStatus();
+  await writeStatus(
+    prev,
+    {
+      checked_at: stamp(now),
+      last_success: stamp(now),
+      sources: Object.fromEntries(sources.map((s) => [s.name, s.events])),
+      events,
+      warnings,
+    },
+    now
+  );
+}
+
+export async function recordFailure(err, { now }) {
+  const prev = await readStatus();
+  const message = String(err?.message ?? err);
+  const error = prev.error?.message === message ? prev.error : { since: stamp(now), message };
+  await writeStatus(prev, { ...prev, checked_at: stamp(now), error }, now);
+}
@@ -0,0 +1,132 @@
+// scripts/validate.js (ESM, Node 20)
+// Checks behind `ics_to_csv.js --validate`, for the live CSV and the season archives:
+// - every checkRow() rule (dates with offset, status, category, true/false flags)
+// - local covers exist with the exact case (GitHub Pages is case-sensitive), remote ones are images
+// - event / ticket URLs are well-formed http(s)
+// - duplicate ids and name+minute keys (the homepage would show the row twice)
+// - malformed "!" locks and tag syntax pasted as a value ("!cover: …")
+// Errors make the command exit non-zero; warnings are things the site patches up on the fly.
+
+import path from "node:path";
+import { readdirSync } from "node:fs";
+import { clean, unlock } from "./common.js";
+import { checkRow, checkLinks, checkDuplicates, isWellFormedUrl, URL_FIELDS } from "./csv_rules.js";
+
+// Columns fed by description tags: where "cover: x" pasted as-is ends up
+const TAG_FIELDS = ["place", "cover", "event_url", "ticket_url", "price", "level", "style"];
+// Paths and links never contain "!": one there is a misplaced lock
+const PATH_FIELDS = ["cover", ...URL_FIELDS];
+// Written by the sync on every run: a lock there is ignored
+const SYNC_OWNED = ["id", "series", "recurrence"];
+
+/* ================= COVERS ================= */
+// Directory listings, read once per run
+const listings = new Map();
+function listing(dir) {
+  if (!listings.has(dir)) {
+    try {
+      listings.set(dir, readdirSync(dir));
+    } catch {
+      listings.set(dir, null);
+    }
+  }
+  return listings.get(dir);
+}
+
+// "images/events/X.jpg" → "Images/events/x.jpg" as found on disk, null when missing
+function onDisk(rel, root) {
+  const parts = rel.split("/").filter(Boolean);
+  const found = [];
+  for (const part of parts) {
+    const names = listing(path.join(root, ...found));
+    const name = names?.find((n) => n === part) ?? names?.find((n) => n.toLowerCase() === part.toLowerCase());
+    if (!name) return null;
+    found.push(name);
+  }
+  return found.join("/");
+}
+
+// What normalizeCover() on the homepage makes of a local path
+const normalizedCover = (rel) => (rel.startsWith("images/") ? "Images/" + rel.slice(7) : rel);
+
+function checkCover(value, root, add) {
+  const v = unlock(value);
+  if (!v) return;
+  if (/^https?:\/\//i.test(v)) {
+    if (!isWellFormedUrl(v)) add("error", "cover", `"${v}" is not a valid URL`);
+    else if (/^https?:\/\/github\.com\/.+\/blob\//i.test(v)) {
+      add("warning", "cover", "GitHub page link, not the image itself: use the raw.githubusercontent.com URL");
+    } else if (/^https?:\/\/drive\.google\.com\//i.test(v)) {
+      add("warning", "cover", "Google Drive link: the file page is not an image, copy the poster into Images/events/");
+    }
+    return;
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(v)) return add("error", "cover", `"${v}": only http(s) URLs or local paths are supported`);
+
+  const rel = v.replace(/^\/+/, "");
+  const actual = onDisk(rel, root);
+  if (!actual) return add("error", "cover", `"${v}" not found`);
+  if (actual === rel) return;
+  if (actual === normalizedCover(rel)) {
+    add("warning", "cover", `"${v}" only works because the homepage rewrites it: use "${actual}"`);
+  } else {
+    add("error", "cover", `"${v}" has the wrong case: the file is "${actual}"`);
+  }
+}
+
+/* ================= LOCKS ================= */
+function checkLocks(row, add, isTagLine) {
+  for (const [field, raw] of Object.entries(row)) {
+    const v = (raw ?? "").toString().trim();
+    if (!v) continue;
+    if (/^!\s*!/.test(v)) {
+      add("error", field, `double lock "${v}": one "!" is enough`);
+      continue;
+    }
+    if (/^!/.test(v) && SYNC_OWNED.includes(field)) add("warning", field, "lock ignored: the sync rewrites this column");
+    if (!TAG_FIELDS.includes(field)) continue;
+    if (isTagLine(unlock(v))) add("error", field, `"${v}" is a description tag, not a value: keep only what follows ":" (with "!" in front to lock)`);
+    else if (PATH_FIELDS.includes(field) && unlock(v).includes("!")) add("error", field, `"${v}": the "!" lock goes in front of the value`);
+  }
+}
+
+/* ================= ROWS ================= */
+/**
+ * Issues of one CSV file: [{ index, row, level: "error" | "warning", field, message }].
+ * keyOf(row) is the sync's name+minute key, isTagLine the sync's tag line test.
+ */
+export function validateRows(rows, { keyOf, isTagLine = () => false, root = "." }) {
+  const issues = [];
+  const duplicates = checkDuplicates(rows, keyOf);
+
+  rows.forEach((row, index) => {
+    const add = (level, field, message) => issues.push({ index, row, level, field, message });
+
+    for (const p of checkRow(row)) add("error", p.field, p.message);
+    // a pasted "cover: …" tag is reported once, by checkLocks()
+    if (!isTagLine(unlock(row.cover ?? ""))) checkCover(row.cover, root, add);
+    for (const p of checkLinks(row)) add("error", p.field, p.message);
+    checkLocks(row, add, isTagLine);
+    for (const p of duplicates[index]) add("error", p.field, p.message);
+  });
+  return issues;
+}
+
+/* ================= REPORT ================= */
+export function formatIssues(file, rows, issues) {
+  const errors = issues.filter((i) => i.level === "error").length;
+  const warnings = issues.length - errors;
+  const counts = issues.length
+    ? `${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}`
+    : "no problems";
+  const out = [`${errors ? "❌" : warnings ? "⚠️" : "✅"} ${file}: ${rows.length} rows, ${counts}`];
+
+  const byRow = new Map();
+  for (const i of issues) byRow.set(i.index, [...(byRow.get(i.index) ?? []), i]);
+  for (const [index, list] of byRow) {
+    const r = list[0].row;
+    out.push(`  row ${index + 1} · ${clean(r.name) || "(no name)"} (${clean(r.start_time) || "no start"})`);
+    for (const i of list) out.push(`    ${i.level === "error" ? "❌" : "⚠️"} ${i.field}: ${i.message}`);
+  }
+  return out.join("\n");
+}
@@ -0,0 +1,100 @@
+// scripts/venues.js (ESM, Node 20)
+// Venue registry: venues.json at the site root, also read by the homepage and prerender.js
+//   [{ "id": "salle-baptiste-marcet", "name": "Salle Baptiste Marcet",
+//      "aliases": ["Baptiste Marcet"], "address": "2 Rue Parmentier, 18000 Bourges",
+//      "lat": 47.08, "lon": 2.39, "access": "…", "parking": "…" }]
+// Every row's place (calendar LOCATION or "place:" tag) resolves to a venue_id through
+// the name, an alias or the address, as the whole text or as one of its parts
+// ("Salle Baptiste Marcet, 2 Rue Parmentier…"), or a typo away (edit distance ≤ 2).
+// The place column keeps the calendar text; the site shows the venue's canonical name.
+// A locked venue_id ("!salle-baptiste-marcet") is kept: that is how a place is forced by hand.
+
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { clean, slug, isLocked, unlock } from "./common.js";
+
+const MAX_TYPOS = 2;
+const MIN_FUZZY_LENGTH = 8; // shorter keys are too close to everything
+
+export async function loadVenues(file, warnings = []) {
+  if (!existsSync(file)) return [];
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    warnings.push(`${file}: unreadable, venues ignored (${err.message})`);
+    console.warn(`⚠️ ${warnings.at(-1)}`);
+    return [];
+  }
+  return (Array.isArray(data) ? data : []).filter((v) => v?.id && v?.name);
+}
+
+// Levenshtein distance, stopped early once over `max`
+function distance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...cur) > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const keysOf = (v) => [v.name, ...(v.aliases || []), v.address].map(slug).filter(Boolean);
+
+/** The venue of a place text, null when none matches (or several do). */
+export function resolveVenue(place, venues) {
+  const key = slug(place);
+  if (!key) return null;
+
+  const exact = venues.filter((v) => keysOf(v).includes(key));
+  if (exact.length) return exact.length === 1 ? exact[0] : null;
+
+  // "Salle Baptiste Marcet, 2 Rue Parmentier" / "Soirée à la salle Baptiste Marcet"
+  const within = venues.filter((v) => keysOf(v).some((k) => `-${key}-`.includes(`-${k}-`)));
+  if (within.length) return within.length === 1 ? within[0] : null;
+
+  // "Salle Batiste Marcet": compared on the text before the first comma too
+  const heads = [key, slug(place.split(",")[0])].filter((k) => k.length >= MIN_FUZZY_LENGTH);
+  const close = venues.filter((v) => keysOf(v).some((k) => heads.some((h) => distance(h, k, MAX_TYPOS) <= MAX_TYPOS)));
+  return close.length === 1 ? close[0] : null;
+}
+
+/**
+ * Fills venue_id on every row from its place, and warns once per unknown place.
+ * Without a registry nothing is resolved, and nothing is reported.
+ */
+export function applyVenues(rows, venues, { warnings = [] } = {}) {
+  if (!venues.length) return;
+  const ids = new Set(venues.map((v) => v.id));
+  const unknown = new Map(); // place → rows
+
+  for (const r of rows) {
+    if (isLocked(r.venue_id)) {
+      if (!ids.has(unlock(r.venue_id))) {
+        warnings.push(`Row "${r.name}" (${r.start_time}): venue_id "${unlock(r.venue_id)}" is not in venues.json`);
+        console.warn(`⚠️ ${warnings.at(-1)}`);
+      }
+      continue;
+    }
+    const place = clean(unlock(r.place));
+    const venue = place ? resolveVenue(place, venues) : null;
+    r.venue_id = venue?.id ?? "";
+    if (place && !venue) unknown.set(place, (unknown.get(place) ?? 0) + 1);
+  }
+
+  for (const [place, n] of unknown) {
+    warnings.push(`Unknown place "${place}" (${n} row${n > 1 ? "s" : ""}): add it, or an alias, to venues.json`);
+    console.warn(`⚠️ ${warnings.at(-1)}`);
+  }
+}
+
+/** Map venue_id → venue, for the generators. */
+export const venueIndex = (venues) => new Map(venues.map((v) => [v.id, v]));
+
+/** The row's venue, null when it has none. */
+export const venueOf = (row, index) => index.get(unlock(row.venue_id ?? "")) ?? null;
@@ -0,0 +1,153 @@
+/* =========================================================
+   KizBourges — sw.js (service worker, registered by offline.js)
+   The site keeps working in a hall with no signal:
+
+   - page shell (pages, styles, scripts, logo) and PapaParse: cached at install;
+     pages are served from the network first, the rest stale-while-revalidate
+   - agenda and config (events.json, the events CSV, *.json of the site root) and the
+     season archives (archives/index.json, archives/*.csv): stale-while-revalidate,
+     so the last synced agenda shows at once, offline too
+   - covers of the upcoming events (from events.json): cached each time the agenda
+     is refreshed, the covers of past events and their resized variants dropped;
+     images are stale-while-revalidate too, so a poster replaced under the same name
+     shows from the next visit
+   - when a refresh fails, the pages are told ({ type:'offline', date }) and show
+     "Hors ligne — données du …" with the date of the copy they got
+
+   Other requests with a query string (admin.html, ?v= cache-busters) always go to the network.
+   Bump VERSION when the list of SHELL files changes.
+   ========================================================= */
+importScripts('/events-core.js'); // rows → events and the variant names, as the pages read them
+const { toEvent, endOf, hasVariants, variantName, COVER_SIZES_DIR } = self.KizEventsCore;
+
+const VERSION = 'v2';
+const SHELL_CACHE = `kb-shell-${VERSION}`;
+const DATA_CACHE = 'kb-data';     // not versioned: the agenda survives an update of the site
+const COVER_CACHE = 'kb-covers';
+const KEEP = [SHELL_CACHE, DATA_CACHE, COVER_CACHE];
+
+const PAPAPARSE = 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js';
+const EVENTS_SOURCE = '/events.json';
+const FALLBACK_COVER = '/Images/cover.jpeg';
+const SHELL = [
+  '/', '/index.html', '/cours.html', '/adhesion.html', '/video.html',
+  '/styles.css', '/events-core.js', '/events.js', '/carousel.js', '/helloasso.js', '/script.js', '/offline.js',
+  '/site.webmanifest', '/Images/logo2.jpeg', FALLBACK_COVER, '/android-chrome-192x192.png',
+  PAPAPARSE
+];
+// The agenda, the config files read by the pages and the season archives
+const DATA = /^\/(?:events\.json|kizbourges_events_template1\.csv|venues\.json|playlists\.json|helloasso\.json|courses\.json|carpool\.json|archives\/(?:index\.json|[\w-]+\.csv))$/;
+
+/* ================= LIFECYCLE ================= */
+self.addEventListener('install', event => {
+  // one missing file must not keep the worker from installing
+  event.waitUntil(caches.open(SHELL_CACHE)
+    .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(() => console.warn(`⚠️ Not cached: ${url}`)))))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('kb-') && !KEEP.includes(k)).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+/* ================= STRATEGIES ================= */
+async function networkFirst(request){
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request.url.split('#')[0], res.clone());
+    return res;
+  } catch (err) {
+    return (await cache.match(request, { ignoreSearch:true })) || (await cache.match('/')) || Response.error();
+  }
+}
+
+async function cacheFirst(request, cacheName, fallback){
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  try {
+    const res = await fetch(request);
+    if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    return (fallback && await caches.match(fallback)) || Response.error();
+  }
+}
+
+// The cached copy at once; the network one for next time (and for the covers).
+// Offline with no copy: the fallback (the default cover for images), if any
+async function staleWhileRevalidate(event, cacheName, onFresh, fallback){
+  const cache = await caches.open(cacheName);
+  const key = new URL(event.request.url).pathname;
+  const cached = await cache.match(key);
+  const network = fetch(event.request)
+    .then(async res => {
+      if (res.ok){
+        await cache.put(key, res.clone());
+        if (onFresh) await onFresh(res.clone());
+      }
+      return res;
+    })
+    .catch(async () => {
+      if (cacheName === DATA_CACHE) notifyOffline(event.clientId, cached);
+      return cached || (fallback && await caches.match(fallback)) || Response.error();
+    });
+  event.waitUntil(network.catch(() => {}));
+  return cached || network;
+}
+
+async function notifyOffline(clientId, cached){
+  const date = cached?.headers.get('date') || '';
+  const list = clientId ? [await self.clients.get(clientId)] : await self.clients.matchAll({ type:'window' });
+  list.filter(Boolean).forEach(c => c.postMessage({ type:'offline', date }));
+}
+
+/* ================= COVERS ================= */
+// events.json is { columns, rows: [[…]] }: keep the covers of the rows not over yet,
+// and their resized variants by their exact names (the widths of cover_variants)
+const VARIANT_TYPES = ['avif', 'webp', 'jpg'];
+async function refreshCovers(res){
+  let data;
+  try { data = await res.json(); } catch (err) { return; }
+  if (!data.columns.includes('cover')) return;
+  const now = new Date();
+  const at = path => new URL(path, self.registration.scope).href;
+  const covers = new Set(), variants = new Set();
+  data.rows.forEach(v => {
+    const ev = toEvent(Object.fromEntries(data.columns.map((c, i) => [c, v[i] ?? ''])));
+    if (!ev.cover || ev.hidden || endOf(ev) < now) return;
+    const url = new URL(ev.cover, self.registration.scope);
+    if (url.origin !== self.location.origin) return;
+    covers.add(url.href);
+    if (hasVariants(ev)) ev.coverWidths.forEach(w => VARIANT_TYPES.forEach(ext =>
+      variants.add(at(COVER_SIZES_DIR + encodeURIComponent(variantName(ev.cover, w, ext))))));
+  });
+
+  const cache = await caches.open(COVER_CACHE);
+  const cached = await cache.keys();
+  await Promise.all(cached.filter(req => /\/Images\/events\//.test(req.url) && !covers.has(req.url) && !variants.has(req.url))
+    .map(req => cache.delete(req)));
+  const have = new Set(cached.map(req => req.url));
+  await Promise.all([...covers].filter(href => !have.has(href)).map(href => cache.add(href).catch(() => {})));
+}
+
+/* ================= ROUTING ================= */
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.href === PAPAPARSE) return event.respondWith(cacheFirst(request, SHELL_CACHE));
+  if (url.origin !== self.location.origin) return; // third parties
+  if (request.mode === 'navigate') return event.respondWith(networkFirst(request));
+  if (url.search) return; // admin.html and cache-busters want the file as it is now
+  if (DATA.test(url.pathname)){
+    const onFresh = url.pathname === EVENTS_SOURCE ? refreshCovers : null;
+    return event.respondWith(staleWhileRevalidate(event, DATA_CACHE, onFresh));
+  }
+  if (url.pathname.startsWith('/Images/')) return event.respondWith(staleWhileRevalidate(event, COVER_CACHE, null, FALLBACK_COVER));
+  if (/\.(?:js|css|webmanifest|png|ico)$/.test(url.pathname)) return event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+});